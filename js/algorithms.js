@@ -7,9 +7,9 @@ class GraphAlgorithms {
     }
 
     /**
-     * Búsqueda en Profundidad (DFS)
+     * Búsqueda en Profundidad (DFS); con classify se añaden tiempos, clasificación de aristas y bosque DFS
      */
-    dfs(startNodeId, targetNodeId = null) {
+    dfs(startNodeId, targetNodeId = null, { classify = false } = {}) {
         // Verificar que el nodo inicial existe
         if (!this.graph.getNode(startNodeId)) {
             throw new Error(`El nodo inicial '${startNodeId}' no existe`);
@@ -106,6 +106,7 @@ class GraphAlgorithms {
             found: targetNodeId ? found : true,
             distance: distance,
             isComplete: !targetNodeId, // Indica si es un recorrido completo
+            classification: classify ? this.dfsClassification(startNodeId) : null,
             statistics: {
                 nodesVisited: visited.size,
                 totalNodes: this.graph.nodes.size,
@@ -116,7 +117,74 @@ class GraphAlgorithms {
     }
 
     /**
-     * Búsqueda en Amplitud (BFS)
+     * DFS completo desde startNodeId y después desde cada nodo sin visitar (bosque que cubre todas
+     * las componentes), con tiempos de descubrimiento y finalización y la clase de cada arista:
+     * árbol, retroceso, avance o cruce (en grafos no dirigidos solo hay de árbol y de retroceso)
+     */
+    dfsClassification(startNodeId) {
+        const roots = [
+            startNodeId,
+            ...Array.from(this.graph.nodes.keys())
+                .filter(nodeId => nodeId !== startNodeId)
+                .sort((a, b) => this.compareNodeIds(a, b))
+        ];
+
+        const discovery = {};
+        const finish = {};
+        const parent = {};
+        const depth = {};
+        const edgeTypes = {};
+        const events = [];
+        const forest = [];
+        let time = 0;
+
+        const visit = (nodeId, tree) => {
+            discovery[nodeId] = ++time;
+            events.push({ type: 'discover', node: nodeId, time });
+            tree.nodes.push(nodeId);
+
+            const neighbors = this.getWeightedNeighbors(nodeId)
+                .sort((a, b) => this.compareNodeIds(a.node, b.node));
+
+            for (const { node: neighbor, edge } of neighbors) {
+                // En grafos no dirigidos cada arista se clasifica desde el primer extremo que la explora
+                if (edgeTypes[edge.id]) continue;
+
+                if (discovery[neighbor] === undefined) {
+                    edgeTypes[edge.id] = 'tree';
+                    parent[neighbor] = nodeId;
+                    depth[neighbor] = depth[nodeId] + 1;
+                    tree.edges.push(edge.id);
+                    visit(neighbor, tree);
+                } else if (finish[neighbor] === undefined) {
+                    edgeTypes[edge.id] = 'back';
+                } else {
+                    edgeTypes[edge.id] = discovery[nodeId] < discovery[neighbor] ? 'forward' : 'cross';
+                }
+            }
+
+            finish[nodeId] = ++time;
+            events.push({ type: 'finish', node: nodeId, time });
+        };
+
+        for (const root of roots) {
+            if (discovery[root] !== undefined) continue;
+
+            const tree = { root, nodes: [], edges: [] };
+            parent[root] = null;
+            depth[root] = 0;
+            visit(root, tree);
+            forest.push(tree);
+        }
+
+        const counts = { tree: 0, back: 0, forward: 0, cross: 0 };
+        Object.values(edgeTypes).forEach(type => counts[type]++);
+
+        return { discovery, finish, parent, depth, edgeTypes, counts, forest, events };
+    }
+
+    /**
+     * Búsqueda en Amplitud (BFS); incluye padres, niveles y aristas del árbol de caminos mínimos
      */
     bfs(startNodeId, targetNodeId = null) {
         const visited = new Set();
@@ -179,6 +247,18 @@ class GraphAlgorithms {
             finalPath = visitOrder; // Para BFS completo, devolver orden de visita
         }
 
+        // Niveles en orden de descubrimiento y aristas del árbol de caminos mínimos (padre → hijo)
+        const levels = [];
+        const treeEdges = [];
+        for (const [nodeId, nodeDistance] of distance) {
+            (levels[nodeDistance] = levels[nodeDistance] || []).push(nodeId);
+
+            const parentId = parent.get(nodeId);
+            if (parentId !== null) {
+                treeEdges.push(this.graph.getEdgeBetween(parentId, nodeId).id);
+            }
+        }
+
         return {
             algorithm: 'BFS',
             startNode: startNodeId,
@@ -188,6 +268,9 @@ class GraphAlgorithms {
             found: targetNodeId ? found : true,
             distance: shortestDistance,
             distances: Object.fromEntries(distance),
+            parent: Object.fromEntries(parent),
+            levels: levels,
+            treeEdges: treeEdges,
             statistics: {
                 nodesVisited: visited.size,
                 totalNodes: this.graph.nodes.size,
@@ -197,313 +280,4505 @@ class GraphAlgorithms {
     }
 
     /**
-     * Algoritmo de Kruskal para Árbol de Expansión Mínima
+     * Algoritmo de Dijkstra para caminos más cortos ponderados
      */
-    kruskal() {
-        if (!this.graph.isWeighted) {
-            throw new Error('El algoritmo de Kruskal requiere un grafo ponderado');
+    dijkstra(startNodeId, targetNodeId = null) {
+        if (!this.graph.getNode(startNodeId)) {
+            throw new Error(`El nodo inicial '${startNodeId}' no existe`);
         }
 
-        // Obtener todas las aristas y ordenarlas por peso
-        const edges = this.graph.getEdges()
-            .map(edge => ({
-                ...edge,
-                weight: parseFloat(edge.weight)
-            }))
-            .sort((a, b) => a.weight - b.weight);
+        if (targetNodeId && !this.graph.getNode(targetNodeId)) {
+            throw new Error(`El nodo objetivo '${targetNodeId}' no existe`);
+        }
 
-        const mstEdges = [];
-        const unionFind = new UnionFind(Array.from(this.graph.nodes.keys()));
+        if (this.hasNegativeWeights()) {
+            throw new Error('Dijkstra no admite pesos negativos; utilice Bellman-Ford');
+        }
+
+        const distance = new Map([[startNodeId, 0]]);
+        const parent = new Map([[startNodeId, null]]);
+        const visited = new Set();
+        const visitOrder = [];
         const steps = [];
-        let totalWeight = 0;
+        const queue = new PriorityQueue();
+        let found = false;
 
-        for (const edge of edges) {
-            const step = {
-                edge: edge,
-                action: 'considering',
-                currentMST: [...mstEdges]
-            };
+        queue.push(startNodeId, 0);
 
-            if (!unionFind.connected(edge.source, edge.target)) {
-                unionFind.union(edge.source, edge.target);
-                mstEdges.push(edge);
-                totalWeight += edge.weight;
-                step.action = 'added';
-                step.reason = 'No forma ciclo';
-            } else {
-                step.action = 'rejected';
-                step.reason = 'Formaría un ciclo';
+        while (!queue.isEmpty()) {
+            const { item: currentNode, priority } = queue.pop();
+
+            // Entradas obsoletas de la cola (el nodo ya se fijó con menor costo)
+            if (visited.has(currentNode)) {
+                continue;
             }
 
-            step.currentMST = [...mstEdges];
+            visited.add(currentNode);
+            visitOrder.push(currentNode);
+
+            const step = {
+                node: currentNode,
+                distance: priority,
+                relaxed: [],
+                queue: []
+            };
             steps.push(step);
 
-            // Si tenemos n-1 aristas, hemos terminado
-            if (mstEdges.length === this.graph.nodes.size - 1) {
+            if (targetNodeId && currentNode === targetNodeId) {
+                found = true;
+                step.queue = queue.toArray();
                 break;
             }
+
+            const neighbors = this.getWeightedNeighbors(currentNode)
+                .sort((a, b) => this.compareNodeIds(a.node, b.node));
+
+            for (const { node: neighbor, weight, edge } of neighbors) {
+                if (visited.has(neighbor)) continue;
+
+                const newDistance = priority + weight;
+                const oldDistance = distance.has(neighbor) ? distance.get(neighbor) : Infinity;
+
+                if (newDistance < oldDistance) {
+                    distance.set(neighbor, newDistance);
+                    parent.set(neighbor, currentNode);
+                    queue.push(neighbor, newDistance);
+
+                    step.relaxed.push({
+                        node: neighbor,
+                        edge: edge.id,
+                        oldDistance,
+                        newDistance
+                    });
+                }
+            }
+
+            step.queue = queue.toArray();
+        }
+
+        let finalPath = [];
+        let totalCost = -1;
+
+        if (targetNodeId && found) {
+            finalPath = this.reconstructPath(parent, startNodeId, targetNodeId);
+            totalCost = distance.get(targetNodeId);
+        } else if (!targetNodeId) {
+            finalPath = visitOrder;
         }
 
         return {
-            algorithm: 'Kruskal',
-            mstEdges: mstEdges,
-            totalWeight: totalWeight,
+            algorithm: 'Dijkstra',
+            startNode: startNodeId,
+            targetNode: targetNodeId,
+            visitOrder: visitOrder,
+            path: finalPath,
+            found: targetNodeId ? found : true,
+            distance: totalCost,
+            totalCost: totalCost,
+            distances: Object.fromEntries(distance),
             steps: steps,
             statistics: {
-                originalEdges: edges.length,
-                mstEdges: mstEdges.length,
+                nodesVisited: visited.size,
                 totalNodes: this.graph.nodes.size,
-                efficiency: this.graph.nodes.size > 1 ? 
-                    (mstEdges.length / (this.graph.nodes.size - 1)) * 100 : 0
+                pathLength: finalPath.length,
+                queueOperations: queue.operations
             }
         };
     }
 
     /**
-     * Algoritmo de Prim para Árbol de Expansión Mínima
+     * Búsqueda A* usando las coordenadas de los nodos en el canvas como heurística
      */
-    prim(startNodeId = null) {
-        if (!this.graph.isWeighted) {
-            throw new Error('El algoritmo de Prim requiere un grafo ponderado');
+    aStar(startNodeId, targetNodeId, heuristic = 'euclidean') {
+        if (!this.graph.getNode(startNodeId)) {
+            throw new Error(`El nodo inicial '${startNodeId}' no existe`);
         }
 
-        const nodes = Array.from(this.graph.nodes.keys());
-        if (nodes.length === 0) {
-            return { mstEdges: [], totalWeight: 0, steps: [] };
+        if (!targetNodeId || !this.graph.getNode(targetNodeId)) {
+            throw new Error('A* requiere un nodo objetivo existente');
         }
 
-        if (!startNodeId) {
-            startNodeId = nodes[0];
+        if (this.hasNegativeWeights()) {
+            throw new Error('A* no admite pesos negativos; utilice Bellman-Ford');
         }
 
-        const inMST = new Set([startNodeId]);
-        const mstEdges = [];
+        const estimate = this.createHeuristic(heuristic, targetNodeId);
+        const g = new Map([[startNodeId, 0]]);
+        const parent = new Map([[startNodeId, null]]);
+        const openSet = new Set([startNodeId]);
+        const closedSet = new Set();
+        const visitOrder = [];
         const steps = [];
-        let totalWeight = 0;
+        const queue = new PriorityQueue();
+        let found = false;
 
-        while (inMST.size < nodes.length) {
-            let minEdge = null;
-            let minWeight = Infinity;
+        queue.push(startNodeId, estimate.h(startNodeId));
 
-            // Encontrar la arista de menor peso que conecte el MST con un nodo fuera del MST
-            for (const nodeInMST of inMST) {
-                const neighbors = this.graph.getNeighbors(nodeInMST);
-                
-                for (const neighbor of neighbors) {
-                    if (!inMST.has(neighbor)) {
-                        const weight = this.graph.getEdgeWeight(nodeInMST, neighbor);
-                        if (weight < minWeight) {
-                            minWeight = weight;
-                            
-                            // Encontrar la arista correspondiente
-                            for (const edge of this.graph.getEdges()) {
-                                if ((edge.source === nodeInMST && edge.target === neighbor) ||
-                                    (!this.graph.isDirected && edge.source === neighbor && edge.target === nodeInMST)) {
-                                    minEdge = edge;
-                                    break;
-                                }
-                            }
-                        }
-                    }
-                }
+        while (!queue.isEmpty()) {
+            const { item: currentNode } = queue.pop();
+
+            if (closedSet.has(currentNode)) {
+                continue;
             }
 
-            if (minEdge) {
-                mstEdges.push(minEdge);
-                totalWeight += minWeight;
-                
-                const newNode = inMST.has(minEdge.source) ? minEdge.target : minEdge.source;
-                inMST.add(newNode);
-
-                steps.push({
-                    edge: minEdge,
-                    action: 'added',
-                    newNode: newNode,
-                    currentMST: [...mstEdges],
-                    nodesInMST: [...inMST]
-                });
+            openSet.delete(currentNode);
+            closedSet.add(currentNode);
+            visitOrder.push(currentNode);
+
+            const step = {
+                node: currentNode,
+                g: g.get(currentNode),
+                h: estimate.h(currentNode),
+                f: g.get(currentNode) + estimate.h(currentNode)
+            };
+            steps.push(step);
+
+            if (currentNode === targetNodeId) {
+                found = true;
             } else {
-                // No se puede continuar (grafo no conexo)
-                break;
+                const neighbors = this.getWeightedNeighbors(currentNode)
+                    .sort((a, b) => this.compareNodeIds(a.node, b.node));
+
+                for (const { node: neighbor, weight } of neighbors) {
+                    if (closedSet.has(neighbor)) continue;
+
+                    const tentative = g.get(currentNode) + weight;
+                    if (tentative < (g.has(neighbor) ? g.get(neighbor) : Infinity)) {
+                        g.set(neighbor, tentative);
+                        parent.set(neighbor, currentNode);
+                        openSet.add(neighbor);
+                        queue.push(neighbor, tentative + estimate.h(neighbor));
+                    }
+                }
             }
+
+            step.openSet = [...openSet];
+            step.closedSet = [...closedSet];
+
+            if (found) break;
         }
 
+        const finalPath = found ? this.reconstructPath(parent, startNodeId, targetNodeId) : [];
+        const totalCost = found ? g.get(targetNodeId) : -1;
+
         return {
-            algorithm: 'Prim',
+            algorithm: 'A*',
             startNode: startNodeId,
-            mstEdges: mstEdges,
-            totalWeight: totalWeight,
+            targetNode: targetNodeId,
+            heuristic: heuristic,
+            heuristicScale: estimate.scale,
+            visitOrder: visitOrder,
+            path: finalPath,
+            found: found,
+            distance: totalCost,
+            totalCost: totalCost,
+            distances: Object.fromEntries(g),
             steps: steps,
             statistics: {
+                nodesExpanded: closedSet.size,
+                nodesGenerated: g.size,
                 totalNodes: this.graph.nodes.size,
-                mstEdges: mstEdges.length,
-                nodesReached: inMST.size,
-                isComplete: inMST.size === nodes.length,
-                efficiency: this.graph.nodes.size > 1 ? 
-                    (mstEdges.length / (this.graph.nodes.size - 1)) * 100 : 0
+                pathLength: finalPath.length
             }
         };
     }
 
     /**
-     * Encuentra el camino más corto entre dos nodos usando BFS
+     * Construye la heurística de A* a partir de las posiciones de los nodos.
+     * La distancia geométrica se escala por la menor relación costo/longitud de las
+     * aristas, de modo que nunca sobreestima el costo real (admisible y consistente).
      */
-    shortestPath(startNodeId, targetNodeId) {
-        const bfsResult = this.bfs(startNodeId, targetNodeId);
-        
-        return {
-            algorithm: 'Shortest Path (BFS)',
-            startNode: startNodeId,
-            targetNode: targetNodeId,
-            path: bfsResult.path,
-            distance: bfsResult.distance,
-            found: bfsResult.found,
-            hops: bfsResult.distance
+    createHeuristic(type, targetNodeId) {
+        const metrics = {
+            euclidean: (a, b) => Math.hypot(a.x - b.x, a.y - b.y),
+            manhattan: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
+            zero: () => 0
         };
-    }
 
-    /**
-     * Verifica si existe un camino entre dos nodos
-     */
-    hasPath(startNodeId, targetNodeId) {
-        const bfsResult = this.bfs(startNodeId, targetNodeId);
+        const metric = metrics[type];
+        if (!metric) {
+            throw new Error(`Heurística '${type}' no válida`);
+        }
+
+        let scale = Infinity;
+        for (const edge of this.graph.getEdges()) {
+            const length = metric(this.graph.getNode(edge.source), this.graph.getNode(edge.target));
+            const cost = this.graph.isWeighted ? parseFloat(edge.weight) : 1;
+            if (length > 0) {
+                scale = Math.min(scale, cost / length);
+            }
+        }
+        if (scale === Infinity) {
+            scale = 0;
+        }
+
+        const target = this.graph.getNode(targetNodeId);
+
         return {
-            hasPath: bfsResult.found,
-            path: bfsResult.path,
-            distance: bfsResult.distance
+            scale: scale,
+            h: (nodeId) => scale * metric(this.graph.getNode(nodeId), target)
         };
     }
 
     /**
-     * Calcula las distancias mínimas desde un nodo a todos los demás
+     * Compara cuántos nodos expanden A*, Dijkstra y BFS para el mismo par de nodos
      */
-    shortestDistances(startNodeId) {
-        const bfsResult = this.bfs(startNodeId);
+    compareSearches(startNodeId, targetNodeId, heuristic = 'euclidean') {
+        const aStarResult = this.aStar(startNodeId, targetNodeId, heuristic);
+        const dijkstraResult = this.dijkstra(startNodeId, targetNodeId);
+        const bfsResult = this.bfs(startNodeId, targetNodeId);
+
         return {
-            startNode: startNodeId,
-            distances: bfsResult.distances,
-            reachableNodes: Object.keys(bfsResult.distances).length
+            algorithms: ['A*', 'Dijkstra', 'BFS'],
+            results: {
+                aStar: aStarResult,
+                dijkstra: dijkstraResult,
+                bfs: bfsResult
+            },
+            comparison: {
+                aStarExpanded: aStarResult.visitOrder.length,
+                dijkstraExpanded: dijkstraResult.visitOrder.length,
+                bfsExpanded: bfsResult.visitOrder.length,
+                aStarCost: aStarResult.totalCost,
+                dijkstraCost: dijkstraResult.totalCost,
+                bfsHops: bfsResult.distance
+            }
         };
     }
 
     /**
-     * Compara los resultados de Kruskal y Prim
+     * K caminos simples más cortos (Yen), por número de saltos o por peso
      */
-    compareMST() {
-        try {
-            const kruskalResult = this.kruskal();
-            const primResult = this.prim();
-
-            const comparison = {
-                algorithms: ['Kruskal', 'Prim'],
-                results: {
-                    kruskal: kruskalResult,
-                    prim: primResult
-                },
-                comparison: {
-                    sameWeight: Math.abs(kruskalResult.totalWeight - primResult.totalWeight) < 0.001,
-                    kruskalWeight: kruskalResult.totalWeight,
-                    primWeight: primResult.totalWeight,
-                    kruskalEdges: kruskalResult.mstEdges.length,
-                    primEdges: primResult.mstEdges.length,
-                    identical: this.areMSTsIdentical(kruskalResult.mstEdges, primResult.mstEdges)
-                }
-            };
-
-            return comparison;
-        } catch (error) {
-            throw new Error(`Error al comparar MST: ${error.message}`);
+    kShortestPaths(startNodeId, targetNodeId, k = 3, metric = this.graph.isWeighted ? 'weight' : 'hops') {
+        if (!this.graph.getNode(startNodeId)) {
+            throw new Error(`El nodo inicial '${startNodeId}' no existe`);
         }
-    }
 
-    /**
-     * Verifica si dos MSTs son idénticos
-     */
-    areMSTsIdentical(edges1, edges2) {
-        if (edges1.length !== edges2.length) {
-            return false;
+        if (!this.graph.getNode(targetNodeId)) {
+            throw new Error(`El nodo objetivo '${targetNodeId}' no existe`);
         }
 
-        const normalize = (edge) => {
-            return `${Math.min(edge.source, edge.target)}-${Math.max(edge.source, edge.target)}-${edge.weight}`;
-        };
+        if (!Number.isInteger(k) || k < 1) {
+            throw new Error('K debe ser un entero mayor o igual que 1');
+        }
 
-        const set1 = new Set(edges1.map(normalize));
-        const set2 = new Set(edges2.map(normalize));
+        if (metric !== 'hops' && metric !== 'weight') {
+            throw new Error(`Métrica '${metric}' no válida; use 'hops' o 'weight'`);
+        }
 
-        if (set1.size !== set2.size) {
-            return false;
+        const useWeights = metric === 'weight' && this.graph.isWeighted;
+        if (useWeights && this.hasNegativeWeights()) {
+            throw new Error('Yen usa Dijkstra y no admite pesos negativos');
         }
 
-        for (const edge of set1) {
-            if (!set2.has(edge)) {
-                return false;
-            }
+        const costOf = edge => useWeights ? parseFloat(edge.weight) : 1;
+        const statistics = { spurSearches: 0, candidates: 0 };
+        const accepted = [];
+        const candidates = [];
+        const seen = new Set();
+
+        // Los caminos se identifican por sus aristas para distinguir aristas paralelas
+        const keyOf = path => `${path.nodes[0]}|${path.edges.join(',')}`;
+        const byCost = (a, b) => a.cost - b.cost ||
+            a.edges.length - b.edges.length ||
+            a.nodes.join('\u0000').localeCompare(b.nodes.join('\u0000'));
+
+        const first = this.restrictedShortestPath(startNodeId, targetNodeId, costOf);
+        statistics.spurSearches++;
+        if (first) {
+            accepted.push(first);
+            seen.add(keyOf(first));
         }
 
-        return true;
-    }
+        while (accepted.length > 0 && accepted.length < k) {
+            const previous = accepted[accepted.length - 1];
 
-    /**
-     * Reconstruye un camino desde el mapa de padres
-     */
-    reconstructPath(parent, start, end) {
-        const path = [];
-        let current = end;
+            for (let i = 0; i < previous.nodes.length - 1; i++) {
+                const spurNode = previous.nodes[i];
+                const rootNodes = previous.nodes.slice(0, i + 1);
+                const rootEdges = previous.edges.slice(0, i);
+                const rootKey = rootEdges.join(',');
 
-        while (current !== null) {
-            path.unshift(current);
-            current = parent.get(current);
+                // Se bloquea la arista siguiente de cada camino aceptado que comparte la raíz
+                const blockedEdges = new Set();
+                for (const path of accepted) {
+                    if (path.edges.length > i && path.edges.slice(0, i).join(',') === rootKey) {
+                        blockedEdges.add(path.edges[i]);
+                    }
+                }
+                // Los nodos de la raíz (salvo el de desvío) no se repiten: caminos simples
+                const blockedNodes = new Set(rootNodes.slice(0, -1));
+
+                const spurPath = this.restrictedShortestPath(spurNode, targetNodeId, costOf, blockedNodes, blockedEdges);
+                statistics.spurSearches++;
+                if (!spurPath) continue;
+
+                const rootCost = rootEdges.reduce((sum, edgeId) => sum + costOf(this.graph.edges.get(edgeId)), 0);
+                const candidate = {
+                    nodes: rootNodes.concat(spurPath.nodes.slice(1)),
+                    edges: rootEdges.concat(spurPath.edges),
+                    cost: rootCost + spurPath.cost
+                };
+
+                const key = keyOf(candidate);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    candidates.push(candidate);
+                    statistics.candidates++;
+                }
+            }
+
+            if (candidates.length === 0) {
+                break;
+            }
+
+            candidates.sort(byCost);
+            accepted.push(candidates.shift());
         }
 
-        return path[0] === start ? path : [];
+        return {
+            algorithm: "Yen's K Shortest Paths",
+            startNode: startNodeId,
+            targetNode: targetNodeId,
+            k: k,
+            metric: useWeights ? 'weight' : 'hops',
+            found: accepted.length > 0,
+            paths: accepted.map((path, index) => ({
+                rank: index + 1,
+                nodes: path.nodes,
+                edges: path.edges,
+                cost: path.cost,
+                hops: path.edges.length
+            })),
+            statistics: statistics
+        };
     }
 
     /**
-     * Detecta todos los ciclos en el grafo
+     * Dijkstra de un nodo a otro evitando nodos y aristas bloqueados; devuelve nodos, aristas y costo, o null
      */
-    detectCycles() {
+    restrictedShortestPath(startNodeId, targetNodeId, costOf, blockedNodes = new Set(), blockedEdges = new Set()) {
+        const distance = new Map([[startNodeId, 0]]);
+        const parent = new Map([[startNodeId, null]]);
         const visited = new Set();
-        const cycles = [];
-        
-        const dfsForCycles = (node, path, parent) => {
-            visited.add(node);
-            path.push(node);
-            
-            const neighbors = this.graph.getNeighbors(node);
-            
-            for (const neighbor of neighbors) {
-                if (neighbor === parent && !this.graph.isDirected) {
-                    continue; // Evitar volver al padre en grafos no dirigidos
-                }
-                
-                const pathIndex = path.indexOf(neighbor);
-                if (pathIndex !== -1) {
-                    // Encontramos un ciclo
-                    const cycle = path.slice(pathIndex);
-                    cycle.push(neighbor); // Cerrar el ciclo
-                    cycles.push(cycle);
-                } else if (!visited.has(neighbor)) {
-                    dfsForCycles(neighbor, [...path], node);
+        const queue = new PriorityQueue();
+
+        queue.push(startNodeId, 0);
+
+        while (!queue.isEmpty()) {
+            const { item: currentNode, priority } = queue.pop();
+
+            if (visited.has(currentNode)) continue;
+            visited.add(currentNode);
+
+            if (currentNode === targetNodeId) {
+                const nodes = [];
+                const edges = [];
+                for (let nodeId = targetNodeId; nodeId !== startNodeId; nodeId = parent.get(nodeId).node) {
+                    nodes.unshift(nodeId);
+                    edges.unshift(parent.get(nodeId).edge);
                 }
+                nodes.unshift(startNodeId);
+                return { nodes, edges, cost: priority };
             }
-        };
-        
-        for (const nodeId of this.graph.nodes.keys()) {
-            if (!visited.has(nodeId)) {
-                dfsForCycles(nodeId, [], null);
+
+            const neighbors = this.getWeightedNeighbors(currentNode)
+                .sort((a, b) => this.compareNodeIds(a.node, b.node));
+
+            for (const { node: neighbor, edge } of neighbors) {
+                if (visited.has(neighbor) || blockedNodes.has(neighbor) || blockedEdges.has(edge.id)) continue;
+
+                const newDistance = priority + costOf(edge);
+                if (newDistance < (distance.has(neighbor) ? distance.get(neighbor) : Infinity)) {
+                    distance.set(neighbor, newDistance);
+                    parent.set(neighbor, { node: currentNode, edge: edge.id });
+                    queue.push(neighbor, newDistance);
+                }
             }
         }
-        
-        return cycles;
+
+        return null;
     }
 
     /**
-     * Análisis de conectividad del grafo
+     * Algoritmo de Bellman-Ford (admite pesos negativos y detecta ciclos negativos)
      */
-    connectivityAnalysis() {
-        const components = [];
-        const visited = new Set();
+    bellmanFord(startNodeId, targetNodeId = null) {
+        if (!this.graph.getNode(startNodeId)) {
+            throw new Error(`El nodo inicial '${startNodeId}' no existe`);
+        }
+
+        if (targetNodeId && !this.graph.getNode(targetNodeId)) {
+            throw new Error(`El nodo objetivo '${targetNodeId}' no existe`);
+        }
+
+        const nodeCount = this.graph.nodes.size;
+        const arcs = this.getArcs();
+        const distance = new Map([[startNodeId, 0]]);
+        const parent = new Map([[startNodeId, null]]);
+        const parentEdge = new Map();
+        const steps = [];
+        let relaxations = 0;
+
+        // Relajar todas las aristas |V| - 1 veces (o hasta que no haya cambios)
+        for (let iteration = 1; iteration < nodeCount; iteration++) {
+            const relaxed = [];
+
+            for (const arc of arcs) {
+                if (!distance.has(arc.from)) continue;
+
+                const newDistance = distance.get(arc.from) + arc.weight;
+                const oldDistance = distance.has(arc.to) ? distance.get(arc.to) : Infinity;
+
+                if (newDistance < oldDistance) {
+                    distance.set(arc.to, newDistance);
+                    parent.set(arc.to, arc.from);
+                    parentEdge.set(arc.to, arc.edge.id);
+                    relaxed.push({ node: arc.to, edge: arc.edge.id, oldDistance, newDistance });
+                }
+            }
+
+            relaxations += relaxed.length;
+            steps.push({ iteration, relaxed });
+
+            if (relaxed.length === 0) break;
+        }
+
+        // Una relajación adicional indica un ciclo negativo alcanzable desde el inicio
+        let negativeCycle = null;
+
+        for (const arc of arcs) {
+            if (!distance.has(arc.from)) continue;
+
+            if (distance.get(arc.from) + arc.weight < distance.get(arc.to)) {
+                parent.set(arc.to, arc.from);
+                parentEdge.set(arc.to, arc.edge.id);
+                negativeCycle = this.extractPredecessorCycle(arc.to, parent, parentEdge);
+                break;
+            }
+        }
+
+        let finalPath = [];
+        let pathEdges = [];
+        let found = false;
+        let totalCost = -1;
+
+        if (targetNodeId && !negativeCycle && distance.has(targetNodeId)) {
+            found = true;
+            finalPath = this.reconstructPath(parent, startNodeId, targetNodeId);
+            pathEdges = finalPath.slice(1).map(nodeId => parentEdge.get(nodeId));
+            totalCost = distance.get(targetNodeId);
+        }
+
+        return {
+            algorithm: 'Bellman-Ford',
+            startNode: startNodeId,
+            targetNode: targetNodeId,
+            path: finalPath,
+            pathEdges: pathEdges,
+            found: targetNodeId ? found : !negativeCycle,
+            distance: totalCost,
+            totalCost: totalCost,
+            distances: Object.fromEntries(distance),
+            predecessors: Object.fromEntries(parent),
+            hasNegativeCycle: negativeCycle !== null,
+            negativeCycle: negativeCycle,
+            steps: steps,
+            statistics: {
+                iterations: steps.length,
+                relaxations: relaxations,
+                reachableNodes: distance.size,
+                totalNodes: nodeCount
+            }
+        };
+    }
+
+    /**
+     * Recupera el ciclo negativo siguiendo la cadena de predecesores
+     */
+    extractPredecessorCycle(nodeId, parent, parentEdge) {
+        // Retroceder |V| veces garantiza quedar dentro del ciclo
+        let inCycle = nodeId;
+        for (let i = 0; i < this.graph.nodes.size; i++) {
+            inCycle = parent.get(inCycle);
+        }
+
+        const nodes = [inCycle];
+        const edges = [];
+        let current = inCycle;
+
+        do {
+            edges.unshift(parentEdge.get(current));
+            current = parent.get(current);
+            nodes.unshift(current);
+        } while (current !== inCycle);
+
+        const cost = edges.reduce((sum, edgeId) => {
+            const edge = this.graph.getEdge(edgeId);
+            return sum + (this.graph.isWeighted ? parseFloat(edge.weight) : 1);
+        }, 0);
+
+        return { nodes, edges, cost };
+    }
+
+    /**
+     * Algoritmo de Floyd-Warshall: caminos más cortos entre todos los pares
+     */
+    floydWarshall() {
+        const nodeIds = Array.from(this.graph.nodes.keys());
+        const distances = {};
+        const next = {};
+
+        // Inicializar matrices de distancia y siguiente salto
+        for (const sourceId of nodeIds) {
+            distances[sourceId] = {};
+            next[sourceId] = {};
+            for (const targetId of nodeIds) {
+                distances[sourceId][targetId] = sourceId === targetId ? 0 : Infinity;
+                next[sourceId][targetId] = sourceId === targetId ? sourceId : null;
+            }
+        }
+
+        for (const arc of this.getArcs()) {
+            if (arc.weight < distances[arc.from][arc.to]) {
+                distances[arc.from][arc.to] = arc.weight;
+                next[arc.from][arc.to] = arc.to;
+            }
+        }
+
+        // Relajar usando cada nodo como intermedio
+        for (const k of nodeIds) {
+            for (const i of nodeIds) {
+                if (distances[i][k] === Infinity) continue;
+
+                for (const j of nodeIds) {
+                    const throughK = distances[i][k] + distances[k][j];
+                    if (throughK < distances[i][j]) {
+                        distances[i][j] = throughK;
+                        next[i][j] = next[i][k];
+                    }
+                }
+            }
+        }
+
+        // Un nodo con distancia negativa a sí mismo pertenece a un ciclo negativo
+        const negativeCycleNodes = nodeIds.filter(nodeId => distances[nodeId][nodeId] < 0);
+
+        // Todo par i → j cuyo camino puede pasar por un ciclo negativo no está acotado
+        for (const k of negativeCycleNodes) {
+            for (const i of nodeIds) {
+                if (distances[i][k] === Infinity) continue;
+
+                for (const j of nodeIds) {
+                    if (distances[k][j] !== Infinity) {
+                        distances[i][j] = -Infinity;
+                    }
+                }
+            }
+        }
+
+        let reachablePairs = 0;
+        for (const sourceId of nodeIds) {
+            for (const targetId of nodeIds) {
+                if (sourceId !== targetId && distances[sourceId][targetId] !== Infinity) {
+                    reachablePairs++;
+                }
+            }
+        }
+
+        return {
+            algorithm: 'Floyd-Warshall',
+            nodes: nodeIds,
+            distances: distances,
+            next: next,
+            hasNegativeCycle: negativeCycleNodes.length > 0,
+            negativeCycleNodes: negativeCycleNodes,
+            statistics: {
+                totalNodes: nodeIds.length,
+                reachablePairs: reachablePairs,
+                totalPairs: nodeIds.length * (nodeIds.length - 1)
+            }
+        };
+    }
+
+    /**
+     * Reconstruye un camino a partir de la matriz de siguiente salto de Floyd-Warshall
+     * (null si no hay camino o si su costo no está acotado por un ciclo negativo)
+     */
+    floydWarshallPath(result, startNodeId, targetNodeId) {
+        if (result.next[startNodeId][targetNodeId] === null ||
+            result.distances[startNodeId][targetNodeId] === -Infinity) {
+            return null;
+        }
+
+        const path = [startNodeId];
+        const edges = [];
+        let current = startNodeId;
+
+        while (current !== targetNodeId) {
+            const hop = result.next[current][targetNodeId];
+
+            // Un ciclo negativo en el camino impide reconstruirlo
+            if (path.length > result.nodes.length) {
+                return null;
+            }
+
+            edges.push(this.graph.getEdgeBetween(current, hop).id);
+            path.push(hop);
+            current = hop;
+        }
+
+        return {
+            path: path,
+            edges: edges,
+            cost: result.distances[startNodeId][targetNodeId]
+        };
+    }
+
+    /**
+     * Lista de arcos dirigidos del grafo (las aristas no dirigidas generan dos arcos)
+     */
+    getArcs() {
+        const arcs = [];
+
+        for (const edge of this.graph.getEdges()) {
+            const weight = this.graph.isWeighted ? parseFloat(edge.weight) : 1;
+            arcs.push({ from: edge.source, to: edge.target, weight, edge });
+
+            if (!this.graph.isDirected) {
+                arcs.push({ from: edge.target, to: edge.source, weight, edge });
+            }
+        }
+
+        return arcs;
+    }
+
+    /**
+     * Verifica si el grafo tiene aristas con peso negativo
+     */
+    hasNegativeWeights() {
+        return this.graph.isWeighted &&
+            this.graph.getEdges().some(edge => parseFloat(edge.weight) < 0);
+    }
+
+    /**
+     * Algoritmo de Kruskal para Árbol de Expansión Mínima (o bosque, con forest: true)
+     */
+    kruskal({ forest = false } = {}) {
+        if (!this.graph.isWeighted) {
+            throw new Error('El algoritmo de Kruskal requiere un grafo ponderado');
+        }
+
+        // Obtener todas las aristas y ordenarlas por peso
+        const edges = this.graph.getEdges()
+            .map(edge => ({
+                ...edge,
+                weight: parseFloat(edge.weight)
+            }))
+            .sort((a, b) => a.weight - b.weight);
+
+        const mstEdges = [];
+        const unionFind = new UnionFind(Array.from(this.graph.nodes.keys()));
+        const steps = [];
+        let totalWeight = 0;
+
+        for (const edge of edges) {
+            const step = {
+                edge: edge,
+                action: 'considering',
+                currentMST: [...mstEdges]
+            };
+
+            if (!unionFind.connected(edge.source, edge.target)) {
+                unionFind.union(edge.source, edge.target);
+                mstEdges.push(edge);
+                totalWeight += edge.weight;
+                step.action = 'added';
+                step.reason = 'No forma ciclo';
+            } else {
+                step.action = 'rejected';
+                step.reason = 'Formaría un ciclo';
+            }
+
+            step.currentMST = [...mstEdges];
+            steps.push(step);
+
+            // Si tenemos n-1 aristas, hemos terminado
+            if (mstEdges.length === this.graph.nodes.size - 1) {
+                break;
+            }
+        }
+
+        const result = {
+            algorithm: 'Kruskal',
+            mstEdges: mstEdges,
+            totalWeight: totalWeight,
+            steps: steps,
+            statistics: {
+                originalEdges: edges.length,
+                mstEdges: mstEdges.length,
+                totalNodes: this.graph.nodes.size,
+                efficiency: this.graph.nodes.size > 1 ? 
+                    (mstEdges.length / (this.graph.nodes.size - 1)) * 100 : 0,
+                operations: {
+                    edgesExamined: steps.length,
+                    findCalls: unionFind.findCalls,
+                    unionCalls: unionFind.unionCalls,
+                    heapOperations: 0
+                }
+            }
+        };
+
+        return forest ? this.splitForest(result) : result;
+    }
+
+    /**
+     * Algoritmo de Prim para Árbol de Expansión Mínima; con forest: true reinicia en cada componente
+     */
+    prim(startNodeId = null, { forest = false } = {}) {
+        if (!this.graph.isWeighted) {
+            throw new Error('El algoritmo de Prim requiere un grafo ponderado');
+        }
+
+        const nodes = Array.from(this.graph.nodes.keys());
+        if (nodes.length === 0) {
+            return { mstEdges: [], totalWeight: 0, steps: [] };
+        }
+
+        if (!startNodeId) {
+            startNodeId = nodes[0];
+        }
+
+        const inMST = new Set();
+        const mstEdges = [];
+        const steps = [];
+        const queue = new PriorityQueue();
+        let totalWeight = 0;
+        let edgesExamined = 0;
+
+        // Incorpora un nodo al árbol y encola las aristas que salen de él
+        const addNode = nodeId => {
+            inMST.add(nodeId);
+            for (const { node: neighbor, weight, edge } of this.getWeightedNeighbors(nodeId)) {
+                edgesExamined++;
+                if (!inMST.has(neighbor)) {
+                    queue.push({ edge, from: nodeId, to: neighbor }, weight);
+                }
+            }
+        };
+
+        addNode(startNodeId);
+
+        while (inMST.size < nodes.length) {
+            if (queue.isEmpty()) {
+                // Componente agotada: en modo bosque se empieza un árbol nuevo, si no se detiene
+                if (!forest) break;
+                addNode(nodes.find(nodeId => !inMST.has(nodeId)));
+                continue;
+            }
+
+            // Arista de menor peso que conecta el MST con un nodo fuera del MST
+            const { item: { edge, to: newNode }, priority: weight } = queue.pop();
+
+            // Entradas obsoletas: el extremo ya entró al árbol por otra arista
+            if (inMST.has(newNode)) continue;
+
+            mstEdges.push({ ...edge, weight });
+            totalWeight += weight;
+            addNode(newNode);
+
+            steps.push({
+                edge: mstEdges[mstEdges.length - 1],
+                action: 'added',
+                newNode: newNode,
+                currentMST: [...mstEdges],
+                nodesInMST: [...inMST]
+            });
+        }
+
+        const result = {
+            algorithm: 'Prim',
+            startNode: startNodeId,
+            mstEdges: mstEdges,
+            totalWeight: totalWeight,
+            steps: steps,
+            statistics: {
+                totalNodes: this.graph.nodes.size,
+                mstEdges: mstEdges.length,
+                nodesReached: inMST.size,
+                isComplete: inMST.size === nodes.length,
+                efficiency: this.graph.nodes.size > 1 ? 
+                    (mstEdges.length / (this.graph.nodes.size - 1)) * 100 : 0,
+                operations: {
+                    edgesExamined: edgesExamined,
+                    findCalls: 0,
+                    unionCalls: 0,
+                    heapOperations: queue.operations
+                }
+            }
+        };
+
+        return forest ? this.splitForest(result) : result;
+    }
+
+    /**
+     * Reparte las aristas de un resultado MST en un árbol por componente conexa, cada uno con su peso
+     */
+    splitForest(result) {
+        const { components } = this.connectivityAnalysis();
+        const componentOf = new Map();
+        const trees = components
+            .map(nodes => nodes.slice().sort((a, b) => this.compareNodeIds(a, b)))
+            .sort((a, b) => this.compareNodeIds(a[0], b[0]))
+            .map((nodes, index) => {
+                nodes.forEach(nodeId => componentOf.set(nodeId, index));
+                return { component: index + 1, nodes: nodes, edges: [], totalWeight: 0 };
+            });
+
+        for (const edge of result.mstEdges) {
+            const tree = trees[componentOf.get(edge.source)];
+            tree.edges.push(edge);
+            tree.totalWeight += edge.weight;
+        }
+
+        // Un bosque completo tiene n - c aristas
+        const expectedEdges = this.graph.nodes.size - components.length;
+
+        result.forest = true;
+        result.trees = trees;
+        result.componentCount = components.length;
+        result.statistics.isComplete = result.mstEdges.length === expectedEdges;
+        result.statistics.efficiency = expectedEdges > 0
+            ? (result.mstEdges.length / expectedEdges) * 100
+            : 100;
+
+        return result;
+    }
+
+    /**
+     * Algoritmo de Borůvka: en cada ronda todas las componentes añaden a la vez su arista más barata de salida
+     */
+    boruvka({ forest = false } = {}) {
+        if (!this.graph.isWeighted) {
+            throw new Error('El algoritmo de Borůvka requiere un grafo ponderado');
+        }
+
+        const nodeIds = Array.from(this.graph.nodes.keys());
+        const edges = this.graph.getEdges().map(edge => ({ ...edge, weight: parseFloat(edge.weight) }));
+        const unionFind = new UnionFind(nodeIds);
+        const mstEdges = [];
+        const steps = [];
+        let totalWeight = 0;
+        let edgesExamined = 0;
+        let componentCount = nodeIds.length;
+
+        // Orden total (peso, ID) para que los empates no creen ciclos
+        const cheaper = (a, b) => a.weight < b.weight ||
+            (a.weight === b.weight && this.compareNodeIds(a.id, b.id) < 0);
+
+        while (componentCount > 1) {
+            const cheapest = new Map();
+
+            for (const edge of edges) {
+                edgesExamined++;
+                const rootSource = unionFind.find(edge.source);
+                const rootTarget = unionFind.find(edge.target);
+                if (rootSource === rootTarget) continue;
+
+                for (const root of [rootSource, rootTarget]) {
+                    if (!cheapest.has(root) || cheaper(edge, cheapest.get(root))) {
+                        cheapest.set(root, edge);
+                    }
+                }
+            }
+
+            // Sin aristas entre componentes: el grafo no es conexo y queda un bosque
+            if (cheapest.size === 0) break;
+
+            const round = {
+                round: steps.length + 1,
+                componentsBefore: componentCount,
+                selected: [],
+                added: []
+            };
+
+            for (const [root, edge] of cheapest) {
+                round.selected.push({ component: root, edge: edge });
+                if (!unionFind.connected(edge.source, edge.target)) {
+                    unionFind.union(edge.source, edge.target);
+                    mstEdges.push(edge);
+                    round.added.push(edge);
+                    totalWeight += edge.weight;
+                    componentCount--;
+                }
+            }
+
+            round.componentsAfter = componentCount;
+            round.currentMST = [...mstEdges];
+            steps.push(round);
+        }
+
+        const result = {
+            algorithm: 'Borůvka',
+            mstEdges: mstEdges,
+            totalWeight: totalWeight,
+            steps: steps,
+            statistics: {
+                rounds: steps.length,
+                originalEdges: edges.length,
+                mstEdges: mstEdges.length,
+                totalNodes: nodeIds.length,
+                isComplete: componentCount <= 1,
+                efficiency: nodeIds.length > 1 ?
+                    (mstEdges.length / (nodeIds.length - 1)) * 100 : 0,
+                operations: {
+                    edgesExamined: edgesExamined,
+                    findCalls: unionFind.findCalls,
+                    unionCalls: unionFind.unionCalls,
+                    heapOperations: 0
+                }
+            }
+        };
+
+        return forest ? this.splitForest(result) : result;
+    }
+
+    /**
+     * Arborescencia de expansión mínima con raíz dada en un grafo dirigido (Chu-Liu/Edmonds).
+     * Sin raíz se toma el primer nodo (por ID) desde el que se alcanzan todos los demás
+     */
+    minArborescence(rootId = null) {
+        if (!this.graph.isDirected) {
+            throw new Error('La arborescencia mínima requiere un grafo dirigido; use Kruskal o Prim');
+        }
+
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+        if (nodeIds.length === 0) {
+            return { algorithm: 'Chu-Liu/Edmonds', root: null, mstEdges: [], totalWeight: 0, steps: [], statistics: {} };
+        }
+
+        if (rootId === null || rootId === undefined || rootId === '') {
+            rootId = nodeIds.find(nodeId => this.graph.countReachable(nodeId, id => this.graph.getNeighbors(id)) === nodeIds.length);
+            if (rootId === undefined) {
+                throw new Error('Ningún nodo alcanza a todos los demás: no existe arborescencia de expansión');
+            }
+        } else if (!this.graph.getNode(rootId)) {
+            throw new Error(`El nodo raíz '${rootId}' no existe`);
+        }
+
+        const reachable = new Set(this.bfs(rootId).visitOrder);
+        const unreachable = nodeIds.filter(nodeId => !reachable.has(nodeId));
+        if (unreachable.length > 0) {
+            throw new Error(`Desde ${rootId} no se alcanzan ${unreachable.join(', ')}: no existe arborescencia de expansión`);
+        }
+
+        // Nivel 0: nodos por índice y arcos sobre las aristas originales (sin lazos)
+        const indexOf = new Map(nodeIds.map((nodeId, index) => [nodeId, index]));
+        const members = nodeIds.map(nodeId => [nodeId]);
+        const arcs = this.graph.getEdges()
+            .filter(edge => edge.source !== edge.target)
+            .map(edge => ({
+                from: indexOf.get(edge.source),
+                to: indexOf.get(edge.target),
+                weight: this.graph.isWeighted ? parseFloat(edge.weight) : 1,
+                edge: edge
+            }));
+
+        const steps = [];
+        const chosen = this.chuLiuEdmonds(
+            nodeIds.map((nodeId, index) => index),
+            arcs,
+            indexOf.get(rootId),
+            members,
+            steps,
+            0
+        );
+
+        const mstEdges = chosen
+            .map(arc => ({ ...arc.edge, weight: this.graph.isWeighted ? parseFloat(arc.edge.weight) : 1 }))
+            .sort((a, b) => this.compareNodeIds(a.source, b.source) || this.compareNodeIds(a.target, b.target));
+        const totalWeight = mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+
+        return {
+            algorithm: 'Chu-Liu/Edmonds',
+            root: rootId,
+            mstEdges: mstEdges,
+            totalWeight: totalWeight,
+            steps: steps,
+            statistics: {
+                totalNodes: nodeIds.length,
+                originalEdges: arcs.length,
+                mstEdges: mstEdges.length,
+                contractions: steps.filter(step => step.action === 'contract').length
+            }
+        };
+    }
+
+    /**
+     * Paso recursivo de Chu-Liu/Edmonds: elige la entrada más barata de cada nodo,
+     * contrae un ciclo en un supernodo con pesos reducidos y expande la solución del nivel inferior
+     */
+    chuLiuEdmonds(nodes, arcs, root, members, steps, level) {
+        const label = node => members[node].length === 1 ? members[node][0] : `{${members[node].join(', ')}}`;
+
+        // Arco de entrada de menor peso para cada nodo (empates por origen y por arista)
+        const minIn = new Map();
+        for (const arc of arcs) {
+            if (arc.to === root || arc.from === arc.to) continue;
+            const best = minIn.get(arc.to);
+            if (!best || arc.weight < best.weight ||
+                (arc.weight === best.weight && this.compareNodeIds(arc.edge.id, best.edge.id) < 0)) {
+                minIn.set(arc.to, arc);
+            }
+        }
+
+        steps.push({
+            action: 'select',
+            level: level,
+            description: `Nivel ${level}: entrada más barata de cada nodo`,
+            edges: Array.from(minIn.values()).map(arc => arc.edge.id),
+            choices: Array.from(minIn.entries()).map(([node, arc]) => ({
+                node: label(node),
+                edge: arc.edge.id,
+                reducedWeight: arc.weight
+            }))
+        });
+
+        // Buscar un ciclo siguiendo los arcos elegidos hacia atrás
+        const walkOf = new Map();
+        let cycle = null;
+        for (const start of nodes) {
+            let node = start;
+            while (node !== root && !walkOf.has(node) && minIn.has(node)) {
+                walkOf.set(node, start);
+                node = minIn.get(node).from;
+            }
+            if (node !== root && walkOf.get(node) === start) {
+                cycle = [node];
+                for (let v = minIn.get(node).from; v !== node; v = minIn.get(v).from) {
+                    cycle.push(v);
+                }
+                break;
+            }
+        }
+
+        if (!cycle) {
+            return Array.from(minIn.values());
+        }
+
+        // Contraer el ciclo en un supernodo
+        const inCycle = new Set(cycle);
+        const superNode = members.length;
+        members.push(cycle.flatMap(node => members[node]).sort((a, b) => this.compareNodeIds(a, b)));
+        const contractedArcs = [];
+        for (const arc of arcs) {
+            const fromInside = inCycle.has(arc.from);
+            const toInside = inCycle.has(arc.to);
+            if (fromInside && toInside) continue;
+
+            contractedArcs.push({
+                from: fromInside ? superNode : arc.from,
+                to: toInside ? superNode : arc.to,
+                // Entrar al ciclo ahorra el arco que se rompe dentro de él
+                weight: toInside ? arc.weight - minIn.get(arc.to).weight : arc.weight,
+                edge: arc.edge,
+                base: arc
+            });
+        }
+
+        steps.push({
+            action: 'contract',
+            level: level,
+            description: `Nivel ${level}: ciclo ${cycle.concat(cycle[0]).reverse().map(label).join(' → ')} contraído en un supernodo`,
+            superNode: label(superNode),
+            cycle: members[superNode],
+            edges: cycle.map(node => minIn.get(node).edge.id)
+        });
+
+        const contractedNodes = nodes.filter(node => !inCycle.has(node)).concat(superNode);
+        const lower = this.chuLiuEdmonds(contractedNodes, contractedArcs, root, members, steps, level + 1);
+
+        // Expandir: el arco que entra al supernodo rompe el ciclo en su nodo de llegada
+        const result = lower.map(arc => arc.base);
+        const entering = result.find(arc => inCycle.has(arc.to) && !inCycle.has(arc.from));
+        const broken = minIn.get(entering.to);
+        for (const node of cycle) {
+            if (node !== entering.to) {
+                result.push(minIn.get(node));
+            }
+        }
+
+        steps.push({
+            action: 'expand',
+            level: level,
+            description: `Nivel ${level}: se expande ${label(superNode)}; entra ${entering.edge.source} → ${entering.edge.target} y se descarta ${broken.edge.source} → ${broken.edge.target}`,
+            superNode: label(superNode),
+            enteringEdge: entering.edge.id,
+            removedEdge: broken.edge.id,
+            edges: result.map(arc => arc.edge.id)
+        });
+
+        return result;
+    }
+
+    /**
+     * Flujo máximo entre dos nodos (Edmonds-Karp o Dinic) con el flujo por arista,
+     * los caminos de aumento en orden y la partición del corte mínimo
+     */
+    maxFlow(sourceId, sinkId, method = 'edmondsKarp') {
+        if (!this.graph.getNode(sourceId)) {
+            throw new Error(`El nodo fuente '${sourceId}' no existe`);
+        }
+        if (!this.graph.getNode(sinkId)) {
+            throw new Error(`El nodo sumidero '${sinkId}' no existe`);
+        }
+        if (sourceId === sinkId) {
+            throw new Error('La fuente y el sumidero deben ser nodos distintos');
+        }
+
+        const network = this.buildResidualNetwork();
+        let search;
+
+        switch (method) {
+            case 'edmondsKarp':
+                search = this.edmondsKarp(network, sourceId, sinkId);
+                break;
+            case 'dinic':
+                search = this.dinic(network, sourceId, sinkId);
+                break;
+            default:
+                throw new Error(`Método de flujo máximo '${method}' no válido`);
+        }
+
+        // Flujo neto por arista (en no dirigidas, el signo indica el sentido)
+        const flows = {};
+        for (const arc of network.arcs) {
+            if (!arc.forward) continue;
+            const edge = arc.edge;
+            const reversed = arc.flow < 0;
+            flows[edge.id] = {
+                from: reversed ? edge.target : edge.source,
+                to: reversed ? edge.source : edge.target,
+                flow: Math.abs(arc.flow),
+                capacity: arc.capacity
+            };
+        }
+
+        // Corte mínimo: nodos alcanzables desde la fuente en la red residual
+        const sourceSide = new Set([sourceId]);
+        const queue = [sourceId];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const arc of network.adjacency.get(current)) {
+                if (arc.capacity - arc.flow > 0 && !sourceSide.has(arc.to)) {
+                    sourceSide.add(arc.to);
+                    queue.push(arc.to);
+                }
+            }
+        }
+
+        const cutEdges = this.graph.getEdges().filter(edge =>
+            (sourceSide.has(edge.source) && !sourceSide.has(edge.target)) ||
+            (!this.graph.isDirected && sourceSide.has(edge.target) && !sourceSide.has(edge.source)));
+
+        const byId = (a, b) => this.compareNodeIds(a, b);
+
+        return {
+            algorithm: method === 'dinic' ? 'Maximum Flow (Dinic)' : 'Maximum Flow (Edmonds-Karp)',
+            method: method,
+            source: sourceId,
+            sink: sinkId,
+            maxFlow: search.totalFlow,
+            flows: flows,
+            augmentingPaths: search.augmentingPaths,
+            minCut: {
+                sourceSide: Array.from(sourceSide).sort(byId),
+                sinkSide: Array.from(this.graph.nodes.keys()).filter(nodeId => !sourceSide.has(nodeId)).sort(byId),
+                edges: cutEdges.map(edge => edge.id),
+                capacity: cutEdges.reduce((sum, edge) => sum + this.graph.getEdgeCapacity(edge), 0)
+            },
+            statistics: {
+                augmentations: search.augmentingPaths.length,
+                phases: search.phases
+            }
+        };
+    }
+
+    /**
+     * Red residual: cada arista genera un par de arcos opuestos con flujo antisimétrico.
+     * En grafos dirigidos el arco inverso tiene capacidad 0; en no dirigidos, la misma capacidad
+     */
+    buildResidualNetwork() {
+        const adjacency = new Map();
+        const arcs = [];
+
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+        nodeIds.forEach(nodeId => adjacency.set(nodeId, []));
+
+        for (const edge of this.graph.getEdges()) {
+            const capacity = this.graph.getEdgeCapacity(edge);
+            if (!(capacity >= 0)) {
+                throw new Error(`La arista ${edge.source}-${edge.target} tiene una capacidad negativa`);
+            }
+            if (edge.source === edge.target) continue;
+
+            const forward = { from: edge.source, to: edge.target, capacity, flow: 0, edge, forward: true };
+            const backward = {
+                from: edge.target,
+                to: edge.source,
+                capacity: this.graph.isDirected ? 0 : capacity,
+                flow: 0,
+                edge,
+                forward: false
+            };
+            forward.reverse = backward;
+            backward.reverse = forward;
+
+            arcs.push(forward, backward);
+            adjacency.get(edge.source).push(forward);
+            adjacency.get(edge.target).push(backward);
+        }
+
+        for (const list of adjacency.values()) {
+            list.sort((a, b) => this.compareNodeIds(a.to, b.to));
+        }
+
+        return { adjacency, arcs };
+    }
+
+    /**
+     * Envía flujo por una lista de arcos y devuelve la descripción del camino de aumento
+     */
+    augmentPath(arcPath) {
+        const bottleneck = Math.min(...arcPath.map(arc => arc.capacity - arc.flow));
+
+        for (const arc of arcPath) {
+            arc.flow += bottleneck;
+            arc.reverse.flow -= bottleneck;
+        }
+
+        return {
+            path: [arcPath[0].from, ...arcPath.map(arc => arc.to)],
+            edges: arcPath.map(arc => arc.edge.id),
+            bottleneck: bottleneck
+        };
+    }
+
+    /**
+     * Edmonds-Karp: caminos de aumento más cortos (en aristas) encontrados con BFS
+     */
+    edmondsKarp(network, sourceId, sinkId) {
+        const augmentingPaths = [];
+        let totalFlow = 0;
+
+        while (true) {
+            const parentArc = new Map([[sourceId, null]]);
+            const queue = [sourceId];
+
+            while (queue.length > 0 && !parentArc.has(sinkId)) {
+                const current = queue.shift();
+                for (const arc of network.adjacency.get(current)) {
+                    if (arc.capacity - arc.flow > 0 && !parentArc.has(arc.to)) {
+                        parentArc.set(arc.to, arc);
+                        queue.push(arc.to);
+                    }
+                }
+            }
+
+            if (!parentArc.has(sinkId)) break;
+
+            const arcPath = [];
+            for (let arc = parentArc.get(sinkId); arc; arc = parentArc.get(arc.from)) {
+                arcPath.unshift(arc);
+            }
+
+            const augmentation = this.augmentPath(arcPath);
+            augmentingPaths.push(augmentation);
+            totalFlow += augmentation.bottleneck;
+        }
+
+        return { totalFlow, augmentingPaths, phases: augmentingPaths.length };
+    }
+
+    /**
+     * Dinic: grafo de niveles por BFS y flujo bloqueante por DFS en cada fase
+     */
+    dinic(network, sourceId, sinkId) {
+        const augmentingPaths = [];
+        let totalFlow = 0;
+        let phases = 0;
+
+        while (true) {
+            const level = new Map([[sourceId, 0]]);
+            const queue = [sourceId];
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (const arc of network.adjacency.get(current)) {
+                    if (arc.capacity - arc.flow > 0 && !level.has(arc.to)) {
+                        level.set(arc.to, level.get(current) + 1);
+                        queue.push(arc.to);
+                    }
+                }
+            }
+
+            if (!level.has(sinkId)) break;
+            phases++;
+
+            // Puntero al siguiente arco por explorar de cada nodo (arcos agotados no se revisitan)
+            const nextArc = new Map();
+            const findPath = (nodeId) => {
+                if (nodeId === sinkId) return [];
+
+                const arcs = network.adjacency.get(nodeId);
+                for (let i = nextArc.get(nodeId) || 0; i < arcs.length; i++) {
+                    nextArc.set(nodeId, i);
+                    const arc = arcs[i];
+                    if (arc.capacity - arc.flow > 0 && level.get(arc.to) === level.get(nodeId) + 1) {
+                        const rest = findPath(arc.to);
+                        if (rest) return [arc, ...rest];
+                    }
+                }
+
+                nextArc.set(nodeId, arcs.length);
+                return null;
+            };
+
+            let arcPath;
+            while ((arcPath = findPath(sourceId))) {
+                const augmentation = this.augmentPath(arcPath);
+                augmentation.phase = phases;
+                augmentingPaths.push(augmentation);
+                totalFlow += augmentation.bottleneck;
+            }
+        }
+
+        return { totalFlow, augmentingPaths, phases };
+    }
+
+    /**
+     * Comprueba si el grafo es bipartito (ignorando la dirección) por 2-coloreado con BFS.
+     * Devuelve la bipartición o un ciclo impar como prueba de que no lo es
+     */
+    isBipartite() {
+        const adjacency = this.getUndirectedAdjacency();
+        const color = new Map();
+        const parent = new Map();
+        const parentEdge = new Map();
+
+        for (const start of adjacency.keys()) {
+            if (color.has(start)) continue;
+
+            color.set(start, 0);
+            parent.set(start, null);
+            const queue = [start];
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+
+                for (const { node: neighbor, edge } of adjacency.get(current)) {
+                    if (!color.has(neighbor)) {
+                        color.set(neighbor, 1 - color.get(current));
+                        parent.set(neighbor, current);
+                        parentEdge.set(neighbor, edge.id);
+                        queue.push(neighbor);
+                    } else if (color.get(neighbor) === color.get(current)) {
+                        return {
+                            algorithm: 'Bipartite Check',
+                            isBipartite: false,
+                            coloring: null,
+                            partitions: null,
+                            oddCycle: this.extractOddCycle(current, neighbor, edge.id, parent, parentEdge)
+                        };
+                    }
+                }
+            }
+        }
+
+        const partitions = [[], []];
+        for (const [nodeId, side] of color) {
+            partitions[side].push(nodeId);
+        }
+
+        return {
+            algorithm: 'Bipartite Check',
+            isBipartite: true,
+            coloring: Object.fromEntries(color),
+            partitions: partitions,
+            oddCycle: null
+        };
+    }
+
+    /**
+     * Reconstruye el ciclo impar formado por la arista (u, v) entre nodos del mismo color
+     * y los caminos del árbol BFS hasta su ancestro común
+     */
+    extractOddCycle(u, v, closingEdgeId, parent, parentEdge) {
+        // Un lazo (u === v) es por sí solo un ciclo impar
+        if (u === v) {
+            return { nodes: [u, u], edges: [closingEdgeId] };
+        }
+
+        const ancestorsOfU = [];
+        for (let node = u; node !== null; node = parent.get(node)) {
+            ancestorsOfU.push(node);
+        }
+
+        const pathFromV = [];
+        let lca = v;
+        while (!ancestorsOfU.includes(lca)) {
+            pathFromV.push(lca);
+            lca = parent.get(lca);
+        }
+
+        const pathToU = ancestorsOfU.slice(0, ancestorsOfU.indexOf(lca)).reverse();
+        // Ciclo: lca → ... → u, u — v, v → ... → lca
+        const nodes = [lca, ...pathToU, ...pathFromV, lca];
+        const edges = [
+            ...pathToU.map(node => parentEdge.get(node)),
+            closingEdgeId,
+            ...pathFromV.map(node => parentEdge.get(node))
+        ];
+
+        return { nodes, edges };
+    }
+
+    /**
+     * Emparejamiento máximo en un grafo bipartito (Hopcroft-Karp)
+     */
+    maxBipartiteMatching() {
+        const bipartite = this.isBipartite();
+        if (!bipartite.isBipartite) {
+            throw new Error(`El grafo no es bipartito: ciclo impar ${bipartite.oddCycle.nodes.join(' → ')}`);
+        }
+
+        const adjacency = this.getUndirectedAdjacency();
+        const [left, right] = bipartite.partitions;
+        const matchOf = new Map(); // nodo → { node, edge } con el que está emparejado
+        const distance = new Map();
+        let phases = 0;
+
+        // BFS por capas desde los nodos libres de la izquierda; true si hay un camino aumentante
+        const buildLayers = () => {
+            const queue = [];
+            let found = false;
+
+            for (const nodeId of left) {
+                if (!matchOf.has(nodeId)) {
+                    distance.set(nodeId, 0);
+                    queue.push(nodeId);
+                } else {
+                    distance.set(nodeId, Infinity);
+                }
+            }
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (const { node: neighbor } of adjacency.get(current)) {
+                    const mate = matchOf.get(neighbor);
+                    if (!mate) {
+                        found = true;
+                    } else if (distance.get(mate.node) === Infinity) {
+                        distance.set(mate.node, distance.get(current) + 1);
+                        queue.push(mate.node);
+                    }
+                }
+            }
+
+            return found;
+        };
+
+        // DFS por las capas alternando aristas libres y emparejadas
+        const augment = (nodeId) => {
+            for (const { node: neighbor, edge } of adjacency.get(nodeId)) {
+                const mate = matchOf.get(neighbor);
+                if (!mate || (distance.get(mate.node) === distance.get(nodeId) + 1 && augment(mate.node))) {
+                    matchOf.set(nodeId, { node: neighbor, edge });
+                    matchOf.set(neighbor, { node: nodeId, edge });
+                    return true;
+                }
+            }
+
+            distance.set(nodeId, Infinity);
+            return false;
+        };
+
+        while (buildLayers()) {
+            phases++;
+            for (const nodeId of left) {
+                if (!matchOf.has(nodeId)) {
+                    augment(nodeId);
+                }
+            }
+        }
+
+        const matching = left
+            .filter(nodeId => matchOf.has(nodeId))
+            .map(nodeId => ({ left: nodeId, right: matchOf.get(nodeId).node, edge: matchOf.get(nodeId).edge.id }));
+
+        return {
+            algorithm: 'Maximum Bipartite Matching (Hopcroft-Karp)',
+            left: left,
+            right: right,
+            matching: matching,
+            edges: matching.map(pair => pair.edge),
+            size: matching.length,
+            unmatched: [...left, ...right].filter(nodeId => !matchOf.has(nodeId)),
+            isPerfect: matching.length * 2 === this.graph.nodes.size,
+            statistics: {
+                phases: phases
+            }
+        };
+    }
+
+    /**
+     * Caminos y circuitos eulerianos: comprueba paridad de grados (o balance entrada/salida
+     * en grafos dirigidos) y conectividad, y construye el recorrido con Hierholzer
+     */
+    eulerian() {
+        const isDirected = this.graph.isDirected;
+        const edges = this.graph.getEdges();
+        const reasons = [];
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+
+        const result = {
+            algorithm: 'Eulerian Trail (Hierholzer)',
+            type: null,
+            hasCircuit: false,
+            hasPath: false,
+            reasons: reasons,
+            startNode: null,
+            endNode: null,
+            trail: null
+        };
+
+        if (edges.length === 0) {
+            reasons.push('El grafo no tiene aristas');
+            return result;
+        }
+
+        // Todas las aristas deben estar en una misma componente (débil)
+        const nonIsolated = nodeIds.filter(nodeId =>
+            edges.some(edge => edge.source === nodeId || edge.target === nodeId));
+        const componentCount = this.countComponentsWithout() -
+            (nodeIds.length - nonIsolated.length);
+        if (componentCount > 1) {
+            reasons.push(`Las aristas están repartidas en ${componentCount} componentes distintas`);
+        }
+
+        let start = nonIsolated[0];
+        let end = start;
+
+        if (isDirected) {
+            const balance = new Map(nodeIds.map(nodeId => [nodeId, 0])); // salida - entrada
+            for (const edge of edges) {
+                balance.set(edge.source, balance.get(edge.source) + 1);
+                balance.set(edge.target, balance.get(edge.target) - 1);
+            }
+
+            const unbalanced = nodeIds.filter(nodeId => balance.get(nodeId) !== 0);
+            const starts = unbalanced.filter(nodeId => balance.get(nodeId) === 1);
+            const ends = unbalanced.filter(nodeId => balance.get(nodeId) === -1);
+            result.balance = Object.fromEntries(balance);
+
+            if (unbalanced.length > 0) {
+                if (starts.length === 1 && ends.length === 1 && unbalanced.length === 2) {
+                    start = starts[0];
+                    end = ends[0];
+                } else {
+                    const details = unbalanced.map(nodeId => {
+                        const value = balance.get(nodeId);
+                        return `${nodeId} (${value > 0 ? '+' : ''}${value})`;
+                    });
+                    reasons.push(`Nodos con salida ≠ entrada: ${details.join(', ')}; como máximo puede haber uno con +1 (inicio) y otro con -1 (fin)`);
+                }
+            }
+        } else {
+            const degree = new Map(nodeIds.map(nodeId => [nodeId, 0]));
+            for (const edge of edges) {
+                degree.set(edge.source, degree.get(edge.source) + 1);
+                degree.set(edge.target, degree.get(edge.target) + 1);
+            }
+
+            const oddNodes = nodeIds.filter(nodeId => degree.get(nodeId) % 2 === 1);
+            result.oddNodes = oddNodes;
+
+            if (oddNodes.length === 2) {
+                [start, end] = oddNodes;
+            } else if (oddNodes.length > 2) {
+                reasons.push(`Hay ${oddNodes.length} nodos de grado impar (${oddNodes.join(', ')}); como máximo puede haber 2`);
+            }
+        }
+
+        if (reasons.length > 0) {
+            return result;
+        }
+
+        result.type = start === end ? 'circuit' : 'path';
+        result.hasCircuit = start === end;
+        result.hasPath = true;
+        result.startNode = start;
+        result.endNode = end;
+        result.trail = this.hierholzer(start);
+
+        return result;
+    }
+
+    /**
+     * Hierholzer: recorre aristas no usadas y, al quedarse sin salida, retrocede
+     * añadiendo el nodo al recorrido (que se obtiene en orden inverso)
+     */
+    hierholzer(startId) {
+        const adjacency = new Map();
+        if (this.graph.isDirected) {
+            for (const nodeId of this.graph.nodes.keys()) {
+                adjacency.set(nodeId, []);
+            }
+            for (const edge of this.graph.getEdges()) {
+                adjacency.get(edge.source).push({ node: edge.target, edge });
+            }
+            for (const neighbors of adjacency.values()) {
+                neighbors.sort((a, b) => this.compareNodeIds(a.node, b.node));
+            }
+        } else {
+            for (const [nodeId, neighbors] of this.getUndirectedAdjacency()) {
+                adjacency.set(nodeId, neighbors);
+            }
+        }
+
+        const usedEdges = new Set();
+        const nextIndex = new Map();
+        const stack = [{ node: startId, edge: null }];
+        const nodes = [];
+        const edgeIds = [];
+
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            const neighbors = adjacency.get(top.node);
+            let index = nextIndex.get(top.node) || 0;
+
+            while (index < neighbors.length && usedEdges.has(neighbors[index].edge.id)) {
+                index++;
+            }
+            nextIndex.set(top.node, index);
+
+            if (index < neighbors.length) {
+                const { node, edge } = neighbors[index];
+                usedEdges.add(edge.id);
+                stack.push({ node, edge: edge.id });
+            } else {
+                stack.pop();
+                nodes.push(top.node);
+                if (top.edge) {
+                    edgeIds.push(top.edge);
+                }
+            }
+        }
+
+        return {
+            nodes: nodes.reverse(),
+            edges: edgeIds.reverse()
+        };
+    }
+
+    /**
+     * Viajante de comercio / camino hamiltoniano sobre las aristas del grafo.
+     * Métodos: 'heldKarp' (exacto), 'nearestNeighbor' y 'twoOpt' (heurísticos).
+     * Con closed = false se busca un camino hamiltoniano abierto
+     */
+    tsp(method = 'heldKarp', { closed = true } = {}) {
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+
+        if (nodeIds.length === 0) {
+            throw new Error('El grafo no tiene nodos');
+        }
+
+        const cost = this.buildCostMatrix(nodeIds);
+        const startTime = performance.now();
+        let search;
+
+        switch (method) {
+            case 'heldKarp':
+                search = this.heldKarp(cost, closed);
+                break;
+            case 'nearestNeighbor':
+                search = this.nearestNeighborTour(cost, closed);
+                break;
+            case 'twoOpt':
+                search = this.twoOptTour(cost, closed);
+                break;
+            default:
+                throw new Error(`Método TSP '${method}' no válido`);
+        }
+
+        // En un grafo no dirigido, ida y vuelta por la misma arista no es un ciclo
+        if (closed && !this.graph.isDirected && nodeIds.length === 2) {
+            search.order = null;
+        }
+
+        const runtime = performance.now() - startTime;
+        const names = {
+            heldKarp: 'Held-Karp (exacto)',
+            nearestNeighbor: 'Vecino más cercano',
+            twoOpt: '2-opt'
+        };
+
+        const order = search.order;
+        const tourNodes = order ? order.map(index => nodeIds[index]) : null;
+        if (tourNodes && closed && tourNodes.length > 1) {
+            tourNodes.push(tourNodes[0]);
+        }
+
+        return {
+            algorithm: `TSP - ${names[method]}`,
+            method: method,
+            closed: closed,
+            found: order !== null,
+            tour: tourNodes,
+            tourEdges: tourNodes ? this.getPathEdges(tourNodes) : [],
+            cost: order ? this.tourCost(order, cost, closed) : null,
+            runtime: Math.round(runtime * 1000) / 1000,
+            statistics: search.statistics
+        };
+    }
+
+    /**
+     * Matriz de costos entre nodos (Infinity si no hay arista directa)
+     */
+    buildCostMatrix(nodeIds) {
+        const index = new Map(nodeIds.map((nodeId, i) => [nodeId, i]));
+        const cost = nodeIds.map(() => nodeIds.map(() => Infinity));
+
+        for (const { from, to, weight } of this.getArcs()) {
+            const i = index.get(from);
+            const j = index.get(to);
+            if (i !== j) {
+                cost[i][j] = Math.min(cost[i][j], weight);
+            }
+        }
+
+        return cost;
+    }
+
+    /**
+     * Costo de un recorrido dado como lista de índices (Infinity si usa una arista inexistente)
+     */
+    tourCost(order, cost, closed) {
+        let total = 0;
+        for (let i = 1; i < order.length; i++) {
+            total += cost[order[i - 1]][order[i]];
+        }
+        if (closed && order.length > 1) {
+            total += cost[order[order.length - 1]][order[0]];
+        }
+        return total;
+    }
+
+    /**
+     * Held-Karp: programación dinámica sobre subconjuntos, O(2^n · n²)
+     */
+    heldKarp(cost, closed) {
+        const n = cost.length;
+        if (n > 15) {
+            throw new Error('Held-Karp está limitado a 15 nodos; utilice una heurística');
+        }
+
+        const full = (1 << n) - 1;
+        const dp = Array.from({ length: 1 << n }, () => new Array(n).fill(Infinity));
+        const previous = Array.from({ length: 1 << n }, () => new Array(n).fill(-1));
+        let states = 0;
+
+        // En un ciclo basta con fijar el nodo inicial; en un camino, cualquier nodo puede iniciar
+        if (closed) {
+            dp[1][0] = 0;
+        } else {
+            for (let j = 0; j < n; j++) {
+                dp[1 << j][j] = 0;
+            }
+        }
+
+        for (let mask = 1; mask <= full; mask++) {
+            for (let last = 0; last < n; last++) {
+                if (dp[mask][last] === Infinity) continue;
+                states++;
+
+                for (let next = 0; next < n; next++) {
+                    if (mask & (1 << next) || cost[last][next] === Infinity) continue;
+
+                    const nextMask = mask | (1 << next);
+                    const candidate = dp[mask][last] + cost[last][next];
+                    if (candidate < dp[nextMask][next]) {
+                        dp[nextMask][next] = candidate;
+                        previous[nextMask][next] = last;
+                    }
+                }
+            }
+        }
+
+        let best = Infinity;
+        let bestLast = -1;
+        for (let last = 0; last < n; last++) {
+            const total = dp[full][last] + (closed && n > 1 ? cost[last][0] : 0);
+            if (total < best) {
+                best = total;
+                bestLast = last;
+            }
+        }
+
+        if (best === Infinity) {
+            return { order: null, statistics: { states } };
+        }
+
+        const order = [];
+        for (let mask = full, node = bestLast; node !== -1;) {
+            order.unshift(node);
+            const prev = previous[mask][node];
+            mask ^= 1 << node;
+            node = prev;
+        }
+
+        return { order, statistics: { states } };
+    }
+
+    /**
+     * Vecino más cercano repetido desde cada nodo inicial, conservando el mejor recorrido
+     */
+    nearestNeighborTour(cost, closed) {
+        const n = cost.length;
+        let bestOrder = null;
+        let bestCost = Infinity;
+        let startsTried = 0;
+
+        for (let start = 0; start < n; start++) {
+            startsTried++;
+            const visited = new Set([start]);
+            const order = [start];
+
+            while (order.length < n) {
+                const current = order[order.length - 1];
+                let nearest = -1;
+                for (let next = 0; next < n; next++) {
+                    if (!visited.has(next) && cost[current][next] < (nearest === -1 ? Infinity : cost[current][nearest])) {
+                        nearest = next;
+                    }
+                }
+                if (nearest === -1) break;
+
+                visited.add(nearest);
+                order.push(nearest);
+            }
+
+            if (order.length < n) continue;
+
+            const total = this.tourCost(order, cost, closed);
+            if (total < bestCost) {
+                bestCost = total;
+                bestOrder = order;
+            }
+        }
+
+        return { order: bestOrder, statistics: { startsTried } };
+    }
+
+    /**
+     * 2-opt: parte del vecino más cercano e invierte tramos mientras el costo mejore
+     */
+    twoOptTour(cost, closed) {
+        const initial = this.nearestNeighborTour(cost, closed);
+        if (!initial.order) {
+            return { order: null, statistics: { improvements: 0, passes: 0 } };
+        }
+
+        let order = initial.order;
+        let bestCost = this.tourCost(order, cost, closed);
+        let improvements = 0;
+        let passes = 0;
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            passes++;
+
+            for (let i = closed ? 1 : 0; i < order.length - 1; i++) {
+                for (let j = i + 1; j < order.length; j++) {
+                    const candidate = [
+                        ...order.slice(0, i),
+                        ...order.slice(i, j + 1).reverse(),
+                        ...order.slice(j + 1)
+                    ];
+                    const candidateCost = this.tourCost(candidate, cost, closed);
+
+                    if (candidateCost < bestCost) {
+                        order = candidate;
+                        bestCost = candidateCost;
+                        improvements++;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return { order, statistics: { improvements, passes, initialCost: this.tourCost(initial.order, cost, closed) } };
+    }
+
+    /**
+     * Compara las heurísticas TSP frente al óptimo de Held-Karp (si el grafo es pequeño)
+     */
+    compareTSP(options = {}) {
+        try {
+            const results = {
+                nearestNeighbor: this.tsp('nearestNeighbor', options),
+                twoOpt: this.tsp('twoOpt', options)
+            };
+            if (this.graph.nodes.size <= 15) {
+                results.heldKarp = this.tsp('heldKarp', options);
+            }
+
+            // Con pesos negativos el óptimo puede ser ≤ 0: la desviación relativa se mide sobre |óptimo|
+            // y, si el óptimo es 0, solo queda la diferencia absoluta de costo
+            const optimum = results.heldKarp?.found ? results.heldKarp.cost : null;
+            const difference = (result) => (optimum !== null && result.found)
+                ? Math.round((result.cost - optimum) * 100) / 100
+                : null;
+            const gap = (result) => (optimum !== null && optimum !== 0 && result.found)
+                ? Math.round(((result.cost - optimum) / Math.abs(optimum)) * 10000) / 100
+                : null;
+
+            return {
+                algorithms: Object.values(results).map(result => result.algorithm),
+                results: results,
+                comparison: {
+                    optimalCost: optimum,
+                    nearestNeighborCost: results.nearestNeighbor.cost,
+                    twoOptCost: results.twoOpt.cost,
+                    nearestNeighborGap: gap(results.nearestNeighbor),
+                    twoOptGap: gap(results.twoOpt),
+                    nearestNeighborDifference: difference(results.nearestNeighbor),
+                    twoOptDifference: difference(results.twoOpt)
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al comparar TSP: ${error.message}`);
+        }
+    }
+
+    /**
+     * Coloreado de vértices (ignorando la dirección): 'greedy', 'welshPowell', 'dsatur' o 'exact'.
+     * Devuelve el color (índice desde 0) de cada nodo y el número de colores usados
+     */
+    colorGraph(strategy = 'dsatur') {
+        const adjacency = this.getUndirectedAdjacency();
+
+        for (const [nodeId, neighbors] of adjacency) {
+            if (neighbors.some(({ node }) => node === nodeId)) {
+                throw new Error(`El nodo ${nodeId} tiene un lazo y no admite ningún coloreado válido`);
+            }
+        }
+
+        const neighborsOf = new Map();
+        for (const [nodeId, neighbors] of adjacency) {
+            neighborsOf.set(nodeId, Array.from(new Set(neighbors.map(({ node }) => node))));
+        }
+
+        let search;
+        switch (strategy) {
+            case 'greedy':
+                search = this.greedyColoring(neighborsOf, Array.from(neighborsOf.keys()));
+                break;
+            case 'welshPowell':
+                // Orden decreciente de grado (empates por ID)
+                search = this.greedyColoring(neighborsOf, Array.from(neighborsOf.keys())
+                    .sort((a, b) => neighborsOf.get(b).length - neighborsOf.get(a).length));
+                break;
+            case 'dsatur':
+                search = this.dsaturColoring(neighborsOf);
+                break;
+            case 'exact':
+                search = this.exactColoring(neighborsOf);
+                break;
+            default:
+                throw new Error(`Estrategia de coloreado '${strategy}' no válida`);
+        }
+
+        const names = {
+            greedy: 'Greedy',
+            welshPowell: 'Welsh-Powell',
+            dsatur: 'DSatur',
+            exact: 'Exact Backtracking'
+        };
+
+        const colorCount = search.colors.size === 0 ? 0 : Math.max(...search.colors.values()) + 1;
+        const classes = Array.from({ length: colorCount }, () => []);
+        for (const [nodeId, color] of search.colors) {
+            classes[color].push(nodeId);
+        }
+        classes.forEach(group => group.sort((a, b) => this.compareNodeIds(a, b)));
+
+        return {
+            algorithm: `Graph Coloring (${names[strategy]})`,
+            strategy: strategy,
+            strategyName: names[strategy],
+            colors: Object.fromEntries(search.colors),
+            colorCount: colorCount,
+            classes: classes,
+            order: search.order,
+            isOptimal: strategy === 'exact',
+            statistics: search.statistics
+        };
+    }
+
+    /**
+     * Coloreado voraz: cada nodo, en el orden dado, recibe el menor color libre
+     */
+    greedyColoring(neighborsOf, order) {
+        const colors = new Map();
+
+        for (const nodeId of order) {
+            const used = new Set(neighborsOf.get(nodeId)
+                .filter(neighbor => colors.has(neighbor))
+                .map(neighbor => colors.get(neighbor)));
+
+            let color = 0;
+            while (used.has(color)) color++;
+            colors.set(nodeId, color);
+        }
+
+        return { colors, order, statistics: {} };
+    }
+
+    /**
+     * DSatur: colorea primero el nodo con más colores distintos entre sus vecinos (saturación),
+     * desempatando por grado
+     */
+    dsaturColoring(neighborsOf) {
+        const colors = new Map();
+        const saturation = new Map(Array.from(neighborsOf.keys()).map(nodeId => [nodeId, new Set()]));
+        const order = [];
+
+        while (colors.size < neighborsOf.size) {
+            let next = null;
+            for (const nodeId of neighborsOf.keys()) {
+                if (colors.has(nodeId)) continue;
+                if (next === null ||
+                    saturation.get(nodeId).size > saturation.get(next).size ||
+                    (saturation.get(nodeId).size === saturation.get(next).size &&
+                        neighborsOf.get(nodeId).length > neighborsOf.get(next).length)) {
+                    next = nodeId;
+                }
+            }
+
+            let color = 0;
+            while (saturation.get(next).has(color)) color++;
+            colors.set(next, color);
+            order.push(next);
+
+            for (const neighbor of neighborsOf.get(next)) {
+                saturation.get(neighbor).add(color);
+            }
+        }
+
+        return { colors, order, statistics: {} };
+    }
+
+    /**
+     * Número cromático exacto por backtracking: prueba k colores desde la cota inferior
+     * hasta encontrar un coloreado válido (DSatur da la cota superior)
+     */
+    exactColoring(neighborsOf) {
+        if (neighborsOf.size > 25) {
+            throw new Error('El coloreado exacto está limitado a 25 nodos; utilice DSatur');
+        }
+
+        const upper = this.dsaturColoring(neighborsOf);
+        const upperCount = upper.colors.size === 0 ? 0 : Math.max(...upper.colors.values()) + 1;
+        const hasEdges = Array.from(neighborsOf.values()).some(neighbors => neighbors.length > 0);
+
+        // Orden de mayor a menor grado para podar antes
+        const order = Array.from(neighborsOf.keys())
+            .sort((a, b) => neighborsOf.get(b).length - neighborsOf.get(a).length);
+        let backtracks = 0;
+
+        const tryColors = (k) => {
+            const colors = new Map();
+
+            const assign = (index) => {
+                if (index === order.length) return true;
+
+                const nodeId = order[index];
+                const used = new Set(neighborsOf.get(nodeId)
+                    .filter(neighbor => colors.has(neighbor))
+                    .map(neighbor => colors.get(neighbor)));
+
+                // Simetría: no hace falta probar más de un color nuevo
+                const maxColor = Math.min(k - 1, colors.size === 0 ? 0 : Math.max(...colors.values()) + 1);
+                for (let color = 0; color <= maxColor; color++) {
+                    if (used.has(color)) continue;
+                    colors.set(nodeId, color);
+                    if (assign(index + 1)) return true;
+                    colors.delete(nodeId);
+                    backtracks++;
+                }
+
+                return false;
+            };
+
+            return assign(0) ? colors : null;
+        };
+
+        // Con aristas hacen falta al menos 2 colores; sin ellas DSatur ya es óptimo
+        for (let k = hasEdges ? 2 : upperCount; k < upperCount; k++) {
+            const colors = tryColors(k);
+            if (colors) {
+                return { colors, order, statistics: { backtracks, upperBound: upperCount } };
+            }
+        }
+
+        return { colors: upper.colors, order: upper.order, statistics: { backtracks, upperBound: upperCount } };
+    }
+
+    /**
+     * Centralidad de los nodos: 'degree', 'closeness', 'betweenness' (Brandes),
+     * 'eigenvector' o 'pagerank'. Devuelve la puntuación de cada nodo y el ranking
+     */
+    centrality(metric = 'degree') {
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+        let search;
+
+        switch (metric) {
+            case 'degree':
+                search = this.degreeCentrality(nodeIds);
+                break;
+            case 'closeness':
+                search = this.closenessCentrality(nodeIds);
+                break;
+            case 'betweenness':
+                search = this.betweennessCentrality(nodeIds);
+                break;
+            case 'eigenvector':
+                search = this.eigenvectorCentrality(nodeIds);
+                break;
+            case 'pagerank':
+                search = this.pageRank(nodeIds);
+                break;
+            default:
+                throw new Error(`Métrica de centralidad '${metric}' no válida`);
+        }
+
+        const names = {
+            degree: 'Degree',
+            closeness: 'Closeness',
+            betweenness: 'Brandes Betweenness',
+            eigenvector: 'Eigenvector',
+            pagerank: 'PageRank'
+        };
+
+        const round = value => Math.round(value * 10000) / 10000;
+        const ranking = nodeIds
+            .map(nodeId => ({ node: nodeId, score: round(search.scores.get(nodeId)) }))
+            .sort((a, b) => b.score - a.score || this.compareNodeIds(a.node, b.node));
+
+        // Empates comparten posición
+        ranking.forEach((entry, index) => {
+            entry.rank = index > 0 && entry.score === ranking[index - 1].score
+                ? ranking[index - 1].rank
+                : index + 1;
+        });
+
+        return {
+            algorithm: `Centrality (${names[metric]})`,
+            metric: metric,
+            scores: Object.fromEntries(ranking.map(entry => [entry.node, entry.score])),
+            ranking: ranking,
+            statistics: search.statistics || {}
+        };
+    }
+
+    /**
+     * Centralidad de grado normalizada por n - 1 (entrada + salida en grafos dirigidos)
+     */
+    degreeCentrality(nodeIds) {
+        const degree = new Map(nodeIds.map(nodeId => [nodeId, 0]));
+
+        for (const edge of this.graph.getEdges()) {
+            degree.set(edge.source, degree.get(edge.source) + 1);
+            degree.set(edge.target, degree.get(edge.target) + 1);
+        }
+
+        const scale = nodeIds.length > 1 ? nodeIds.length - 1 : 1;
+        for (const nodeId of nodeIds) {
+            degree.set(nodeId, degree.get(nodeId) / scale);
+        }
+
+        return { scores: degree };
+    }
+
+    /**
+     * Distancias mínimas desde un nodo: Dijkstra si el grafo es ponderado, BFS si no
+     */
+    singleSourceDistances(sourceId) {
+        if (this.graph.isWeighted) {
+            return new Map(Object.entries(this.dijkstra(sourceId).distances)
+                .filter(([, distance]) => distance !== Infinity));
+        }
+
+        const distances = new Map([[sourceId, 0]]);
+        const queue = [sourceId];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const neighbor of this.graph.getNeighbors(current)) {
+                if (!distances.has(neighbor)) {
+                    distances.set(neighbor, distances.get(current) + 1);
+                    queue.push(neighbor);
+                }
+            }
+        }
+        return distances;
+    }
+
+    /**
+     * Cercanía (Wasserman-Faust): inversa de la distancia media a los nodos alcanzables,
+     * escalada por la fracción de nodos alcanzados para grafos no conexos
+     */
+    closenessCentrality(nodeIds) {
+        const scores = new Map();
+        const n = nodeIds.length;
+
+        for (const nodeId of nodeIds) {
+            const distances = this.singleSourceDistances(nodeId);
+            const reachable = distances.size - 1;
+            const total = Array.from(distances.values()).reduce((sum, distance) => sum + distance, 0);
+
+            scores.set(nodeId, reachable > 0 && total > 0
+                ? (reachable / total) * (reachable / (n - 1))
+                : 0);
+        }
+
+        return { scores };
+    }
+
+    /**
+     * Intermediación con el algoritmo de Brandes: acumula dependencias en orden inverso
+     * de distancia desde cada fuente. Normalizada por el número de pares
+     */
+    betweennessCentrality(nodeIds) {
+        const scores = new Map(nodeIds.map(nodeId => [nodeId, 0]));
+        const weighted = this.graph.isWeighted;
+
+        for (const source of nodeIds) {
+            const stack = [];
+            const predecessors = new Map(nodeIds.map(nodeId => [nodeId, []]));
+            const sigma = new Map(nodeIds.map(nodeId => [nodeId, 0]));
+            const distance = new Map();
+            sigma.set(source, 1);
+            distance.set(source, 0);
+
+            if (weighted) {
+                const queue = new PriorityQueue();
+                queue.push(source, 0);
+                const settled = new Set();
+
+                while (!queue.isEmpty()) {
+                    const { item: current, priority } = queue.pop();
+                    if (settled.has(current) || priority > distance.get(current)) continue;
+                    settled.add(current);
+                    stack.push(current);
+
+                    for (const { node: neighbor, weight } of this.getWeightedNeighbors(current)) {
+                        if (weight < 0) {
+                            throw new Error('La intermediación ponderada no admite pesos negativos');
+                        }
+                        const candidate = distance.get(current) + weight;
+                        if (!distance.has(neighbor) || candidate < distance.get(neighbor)) {
+                            distance.set(neighbor, candidate);
+                            sigma.set(neighbor, sigma.get(current));
+                            predecessors.set(neighbor, [current]);
+                            queue.push(neighbor, candidate);
+                        } else if (candidate === distance.get(neighbor)) {
+                            sigma.set(neighbor, sigma.get(neighbor) + sigma.get(current));
+                            predecessors.get(neighbor).push(current);
+                        }
+                    }
+                }
+            } else {
+                const queue = [source];
+                while (queue.length > 0) {
+                    const current = queue.shift();
+                    stack.push(current);
+
+                    for (const neighbor of this.graph.getNeighbors(current)) {
+                        if (!distance.has(neighbor)) {
+                            distance.set(neighbor, distance.get(current) + 1);
+                            queue.push(neighbor);
+                        }
+                        if (distance.get(neighbor) === distance.get(current) + 1) {
+                            sigma.set(neighbor, sigma.get(neighbor) + sigma.get(current));
+                            predecessors.get(neighbor).push(current);
+                        }
+                    }
+                }
+            }
+
+            // Acumulación de dependencias desde los nodos más lejanos
+            const delta = new Map(nodeIds.map(nodeId => [nodeId, 0]));
+            while (stack.length > 0) {
+                const node = stack.pop();
+                for (const predecessor of predecessors.get(node)) {
+                    delta.set(predecessor, delta.get(predecessor) +
+                        (sigma.get(predecessor) / sigma.get(node)) * (1 + delta.get(node)));
+                }
+                if (node !== source) {
+                    scores.set(node, scores.get(node) + delta.get(node));
+                }
+            }
+        }
+
+        // En no dirigidos cada par se cuenta dos veces; normalizar por (n-1)(n-2)
+        const n = nodeIds.length;
+        const pairs = (n - 1) * (n - 2);
+        for (const nodeId of nodeIds) {
+            let value = scores.get(nodeId);
+            if (!this.graph.isDirected) value /= 2;
+            scores.set(nodeId, pairs > 0 ? value / (this.graph.isDirected ? pairs : pairs / 2) : 0);
+        }
+
+        return { scores };
+    }
+
+    /**
+     * Centralidad de vector propio por iteración de potencias (sobre las aristas entrantes)
+     */
+    eigenvectorCentrality(nodeIds, maxIterations = 100, tolerance = 1e-6) {
+        let scores = new Map(nodeIds.map(nodeId => [nodeId, 1 / Math.max(nodeIds.length, 1)]));
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations && !converged) {
+            iterations++;
+            // Se suma el propio valor (A + I) para evitar oscilaciones en grafos bipartitos
+            const next = new Map(scores);
+            for (const edge of this.graph.getEdges()) {
+                next.set(edge.target, next.get(edge.target) + scores.get(edge.source));
+                if (!this.graph.isDirected) {
+                    next.set(edge.source, next.get(edge.source) + scores.get(edge.target));
+                }
+            }
+
+            const norm = Math.sqrt(Array.from(next.values()).reduce((sum, value) => sum + value * value, 0)) || 1;
+            let change = 0;
+            for (const nodeId of nodeIds) {
+                next.set(nodeId, next.get(nodeId) / norm);
+                change += Math.abs(next.get(nodeId) - scores.get(nodeId));
+            }
+
+            scores = next;
+            converged = change < tolerance * nodeIds.length;
+        }
+
+        return { scores, statistics: { iterations, converged } };
+    }
+
+    /**
+     * PageRank con factor de amortiguación; los nodos sin salida reparten su valor entre todos
+     */
+    pageRank(nodeIds, damping = 0.85, maxIterations = 100, tolerance = 1e-6) {
+        const n = nodeIds.length;
+        let scores = new Map(nodeIds.map(nodeId => [nodeId, 1 / Math.max(n, 1)]));
+        const outLinks = new Map(nodeIds.map(nodeId => [nodeId, this.graph.getNeighbors(nodeId)]));
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations && !converged) {
+            iterations++;
+            const danglingSum = nodeIds
+                .filter(nodeId => outLinks.get(nodeId).length === 0)
+                .reduce((sum, nodeId) => sum + scores.get(nodeId), 0);
+
+            const base = (1 - damping) / n + damping * danglingSum / n;
+            const next = new Map(nodeIds.map(nodeId => [nodeId, base]));
+
+            for (const nodeId of nodeIds) {
+                const links = outLinks.get(nodeId);
+                for (const target of links) {
+                    next.set(target, next.get(target) + damping * scores.get(nodeId) / links.length);
+                }
+            }
+
+            let change = 0;
+            for (const nodeId of nodeIds) {
+                change += Math.abs(next.get(nodeId) - scores.get(nodeId));
+            }
+
+            scores = next;
+            converged = change < tolerance;
+        }
+
+        return { scores, statistics: { iterations, converged, damping } };
+    }
+
+    /**
+     * Cliques por Bron-Kerbosch con pivote sobre el grafo no dirigido subyacente.
+     * maximal: lista las cliques maximales de al menos minSize nodos; maximum: las de tamaño máximo.
+     * Con complement: true la búsqueda se hace en el grafo complemento (conjuntos independientes)
+     */
+    findCliques({ maximal = true, maximum = true, minSize = 1, complement = false, limit = 1000 } = {}) {
+        const adjacency = this.getUndirectedAdjacency();
+        const nodeIds = Array.from(adjacency.keys());
+        const neighborsOf = new Map();
+
+        for (const [nodeId, neighbors] of adjacency) {
+            const adjacent = new Set(neighbors.map(({ node }) => node).filter(node => node !== nodeId));
+            neighborsOf.set(nodeId, complement
+                ? new Set(nodeIds.filter(other => other !== nodeId && !adjacent.has(other)))
+                : adjacent);
+        }
+
+        // En el complemento, un nodo con lazo nunca puede formar parte de un conjunto independiente
+        const candidates = complement
+            ? nodeIds.filter(nodeId => !adjacency.get(nodeId).some(({ node }) => node === nodeId))
+            : nodeIds;
+
+        const found = [];
+        let best = [];
+        let cliqueNumber = 0;
+        let maximalCount = 0;
+        let recursiveCalls = 0;
+
+        const bronKerbosch = (clique, P, X) => {
+            recursiveCalls++;
+
+            if (P.size === 0 && X.size === 0) {
+                maximalCount++;
+                if (clique.length >= minSize && found.length < limit) {
+                    found.push(clique.slice());
+                }
+                if (clique.length > cliqueNumber) {
+                    cliqueNumber = clique.length;
+                    best = [];
+                }
+                if (clique.length === cliqueNumber && best.length < limit) {
+                    best.push(clique.slice());
+                }
+                return;
+            }
+
+            // Pivote: el nodo de P ∪ X con más vecinos en P (Tomita)
+            let pivot = null;
+            let pivotDegree = -1;
+            for (const nodeId of [...P, ...X]) {
+                let degree = 0;
+                for (const neighbor of neighborsOf.get(nodeId)) {
+                    if (P.has(neighbor)) degree++;
+                }
+                if (degree > pivotDegree) {
+                    pivot = nodeId;
+                    pivotDegree = degree;
+                }
+            }
+
+            const pivotNeighbors = neighborsOf.get(pivot);
+            for (const nodeId of [...P].filter(node => !pivotNeighbors.has(node))) {
+                const neighbors = neighborsOf.get(nodeId);
+                clique.push(nodeId);
+                bronKerbosch(
+                    clique,
+                    new Set([...P].filter(node => neighbors.has(node))),
+                    new Set([...X].filter(node => neighbors.has(node)))
+                );
+                clique.pop();
+                P.delete(nodeId);
+                X.add(nodeId);
+            }
+        };
+
+        if (candidates.length > 0) {
+            bronKerbosch([], new Set(candidates), new Set());
+        }
+
+        const describe = nodes => {
+            const sorted = nodes.slice().sort((a, b) => this.compareNodeIds(a, b));
+            return { nodes: sorted, size: sorted.length, edges: this.inducedEdges(sorted) };
+        };
+        const bySize = (a, b) => b.size - a.size || a.nodes.join('\u0000').localeCompare(b.nodes.join('\u0000'));
+
+        return {
+            algorithm: complement ? 'Bron-Kerbosch (Complement)' : 'Bron-Kerbosch',
+            complement: complement,
+            cliques: maximal ? found.map(describe).sort(bySize) : [],
+            maximumCliques: maximum ? best.map(describe).sort(bySize) : [],
+            cliqueNumber: cliqueNumber,
+            statistics: {
+                recursiveCalls: recursiveCalls,
+                maximalCliques: maximalCount,
+                truncated: maximalCount > found.length && found.length === limit
+            }
+        };
+    }
+
+    /**
+     * Aristas del subgrafo inducido por un conjunto de nodos
+     */
+    inducedEdges(nodeIds) {
+        const members = new Set(nodeIds);
+        return this.graph.getEdges()
+            .filter(edge => members.has(edge.source) && members.has(edge.target))
+            .map(edge => edge.id);
+    }
+
+    /**
+     * Conjuntos independientes máximos: cliques máximas del grafo complemento
+     */
+    maximumIndependentSet() {
+        const search = this.findCliques({ maximal: false, maximum: true, complement: true });
+
+        return {
+            algorithm: 'Maximum Independent Set',
+            sets: search.maximumCliques.map(clique => clique.nodes),
+            independenceNumber: search.cliqueNumber,
+            statistics: search.statistics
+        };
+    }
+
+    /**
+     * Coberturas de vértices mínimas: el complemento de cada conjunto independiente máximo
+     */
+    minimumVertexCover() {
+        const independent = this.maximumIndependentSet();
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+
+        const covers = independent.sets.map(set => {
+            const excluded = new Set(set);
+            return nodeIds.filter(nodeId => !excluded.has(nodeId));
+        });
+
+        return {
+            algorithm: 'Minimum Vertex Cover',
+            covers: covers,
+            size: nodeIds.length - independent.independenceNumber,
+            independenceNumber: independent.independenceNumber,
+            statistics: independent.statistics
+        };
+    }
+
+    /**
+     * Isomorfismo entre dos grafos (VF2) con comprobación previa de la secuencia de grados.
+     * Si ambos son ponderados, las aristas emparejadas deben tener el mismo peso.
+     * Devuelve la correspondencia de nodos de graphA a graphB cuando existe
+     */
+    isomorphic(graphA, graphB, { compareWeights = graphA.isWeighted && graphB.isWeighted } = {}) {
+        const result = {
+            algorithm: 'VF2',
+            isomorphic: false,
+            mapping: null,
+            reason: null,
+            compareWeights: compareWeights,
+            statistics: { precheckPassed: false, states: 0 }
+        };
+
+        if (graphA.isDirected !== graphB.isDirected) {
+            result.reason = 'Uno de los grafos es dirigido y el otro no';
+            return result;
+        }
+        if (graphA.nodes.size !== graphB.nodes.size) {
+            result.reason = `Número de nodos distinto (${graphA.nodes.size} y ${graphB.nodes.size})`;
+            return result;
+        }
+        if (graphA.edges.size !== graphB.edges.size) {
+            result.reason = `Número de aristas distinto (${graphA.edges.size} y ${graphB.edges.size})`;
+            return result;
+        }
+
+        const a = this.isomorphismStructure(graphA);
+        const b = this.isomorphismStructure(graphB);
+
+        // Secuencia de grados (salida, entrada, lazo): condición necesaria y barata
+        const signature = structure => structure.ids
+            .map((nodeId, i) => `${structure.out[i].size}|${structure.in[i].size}|${structure.loops[i] !== undefined}`)
+            .sort()
+            .join(',');
+        if (signature(a) !== signature(b)) {
+            result.reason = 'Las secuencias de grados no coinciden';
+            return result;
+        }
+        result.statistics.precheckPassed = true;
+
+        const n = a.ids.length;
+        const core1 = new Array(n).fill(-1);
+        const core2 = new Array(n).fill(-1);
+        const sameWeight = (w1, w2) => !compareWeights || w1 === w2;
+
+        // Conjuntos terminales: nodos sin emparejar adyacentes (por salida o entrada) a los emparejados
+        const terminal = (structure, core) => {
+            const out = new Set();
+            const inn = new Set();
+            core.forEach((mapped, i) => {
+                if (mapped === -1) return;
+                for (const j of structure.out[i].keys()) if (core[j] === -1) out.add(j);
+                for (const j of structure.in[i].keys()) if (core[j] === -1) inn.add(j);
+            });
+            return { out, in: inn };
+        };
+
+        // Vecinos de un nodo clasificados según pertenezcan a T_out, T_in o a ninguno (look-ahead)
+        const lookahead = (neighbors, core, t) => {
+            let inOut = 0, inIn = 0, fresh = 0;
+            for (const j of neighbors.keys()) {
+                if (core[j] !== -1) continue;
+                if (t.out.has(j)) inOut++;
+                if (t.in.has(j)) inIn++;
+                if (!t.out.has(j) && !t.in.has(j)) fresh++;
+            }
+            return `${inOut}|${inIn}|${fresh}`;
+        };
+
+        const feasible = (u, v, t1, t2) => {
+            if ((a.loops[u] !== undefined) !== (b.loops[v] !== undefined)) return false;
+            if (a.loops[u] !== undefined && !sameWeight(a.loops[u], b.loops[v])) return false;
+
+            // Las aristas hacia nodos ya emparejados deben existir en ambos grafos
+            for (const [direction, other] of [['out', 'out'], ['in', 'in']]) {
+                for (const [j, weight] of a[direction][u]) {
+                    if (core1[j] === -1) continue;
+                    const counterpart = b[other][v].get(core1[j]);
+                    if (counterpart === undefined || !sameWeight(weight, counterpart)) return false;
+                }
+                for (const k of b[other][v].keys()) {
+                    if (core2[k] !== -1 && !a[direction][u].has(core2[k])) return false;
+                }
+            }
+
+            return lookahead(a.out[u], core1, t1) === lookahead(b.out[v], core2, t2) &&
+                lookahead(a.in[u], core1, t1) === lookahead(b.in[v], core2, t2);
+        };
+
+        const match = depth => {
+            if (depth === n) return true;
+            result.statistics.states++;
+
+            const t1 = terminal(a, core1);
+            const t2 = terminal(b, core2);
+            if (t1.out.size !== t2.out.size || t1.in.size !== t2.in.size) return false;
+
+            // Se fija el menor nodo candidato de B y se prueban todos los candidatos de A
+            let candidates;
+            if (t2.out.size > 0) {
+                candidates = [Array.from(t1.out), Math.min(...t2.out)];
+            } else if (t2.in.size > 0) {
+                candidates = [Array.from(t1.in), Math.min(...t2.in)];
+            } else {
+                candidates = [
+                    core1.map((mapped, i) => mapped === -1 ? i : -1).filter(i => i !== -1),
+                    core2.findIndex(mapped => mapped === -1)
+                ];
+            }
+
+            const [fromA, v] = candidates;
+            for (const u of fromA.sort((x, y) => x - y)) {
+                if (!feasible(u, v, t1, t2)) continue;
+                core1[u] = v;
+                core2[v] = u;
+                if (match(depth + 1)) return true;
+                core1[u] = -1;
+                core2[v] = -1;
+            }
+
+            return false;
+        };
+
+        if (match(0)) {
+            result.isomorphic = true;
+            result.mapping = Object.fromEntries(a.ids.map((nodeId, i) => [nodeId, b.ids[core1[i]]]));
+        } else {
+            result.reason = compareWeights
+                ? 'No existe una correspondencia que conserve aristas y pesos'
+                : 'No existe una correspondencia que conserve las aristas';
+        }
+
+        return result;
+    }
+
+    /**
+     * Estructura por índices para VF2: vecinos de salida y de entrada (con peso) y lazos de cada nodo
+     */
+    isomorphismStructure(graph) {
+        const ids = Array.from(graph.nodes.keys()).sort((x, y) => this.compareNodeIds(x, y));
+        const indexOf = new Map(ids.map((nodeId, i) => [nodeId, i]));
+        const structure = {
+            ids: ids,
+            out: ids.map(() => new Map()),
+            in: ids.map(() => new Map()),
+            loops: new Array(ids.length).fill(undefined)
+        };
+
+        for (const edge of graph.getEdges()) {
+            const i = indexOf.get(edge.source);
+            const j = indexOf.get(edge.target);
+            const weight = graph.isWeighted ? parseFloat(edge.weight) : 1;
+
+            if (i === j) {
+                structure.loops[i] = weight;
+                continue;
+            }
+
+            structure.out[i].set(j, weight);
+            structure.in[j].set(i, weight);
+            if (!graph.isDirected) {
+                structure.out[j].set(i, weight);
+                structure.in[i].set(j, weight);
+            }
+        }
+
+        return structure;
+    }
+
+    /**
+     * Prueba de planaridad con el algoritmo left-right (de Fraysseix-Rosenstiehl, formulación de Brandes)
+     * sobre el grafo no dirigido subyacente (sin lazos). Si el grafo es plano devuelve un sistema
+     * de rotaciones, sus caras y posiciones sin cruces; si no, un subgrafo de Kuratowski
+     */
+    planarity() {
+        const ids = Array.from(this.graph.nodes.keys()).sort((a, b) => this.compareNodeIds(a, b));
+        const indexOf = new Map(ids.map((nodeId, i) => [nodeId, i]));
+        const n = ids.length;
+
+        // Aristas simples por par de nodos (las antiparalelas de un grafo dirigido se funden)
+        const edgesByPair = new Map();
+        for (const edge of this.graph.getEdges()) {
+            const i = indexOf.get(edge.source);
+            const j = indexOf.get(edge.target);
+            if (i === j) continue;
+
+            const pairKey = Math.min(i, j) * n + Math.max(i, j);
+            if (!edgesByPair.has(pairKey)) {
+                edgesByPair.set(pairKey, []);
+            }
+            edgesByPair.get(pairKey).push(edge.id);
+        }
+        const pairs = Array.from(edgesByPair.keys()).map(pairKey => [Math.floor(pairKey / n), pairKey % n]);
+
+        const statistics = {
+            nodes: n,
+            edges: pairs.length,
+            withinEulerBound: n < 3 || pairs.length <= 3 * n - 6,
+            planarityTests: 1
+        };
+        const embedding = this.lrPlanarity(n, pairs);
+        const result = {
+            algorithm: 'Left-Right Planarity',
+            planar: embedding !== null,
+            embedding: null,
+            faces: null,
+            positions: null,
+            kuratowski: null,
+            statistics: statistics
+        };
+
+        if (embedding) {
+            result.embedding = Object.fromEntries(ids.map((nodeId, v) =>
+                [nodeId, embedding.neighborsCwOrder(v).map(w => ids[w])]
+            ));
+            result.faces = embedding.faces().map(face => face.map(v => ids[v]));
+
+            const positions = this.planarDrawing(embedding);
+            result.positions = Object.fromEntries(ids.map((nodeId, v) => [nodeId, positions[v]]));
+        } else {
+            const subgraph = this.kuratowskiSubgraph(n, pairs, statistics);
+            result.kuratowski = {
+                type: subgraph.type,
+                branchNodes: subgraph.branchNodes.map(v => ids[v]),
+                parts: subgraph.parts ? subgraph.parts.map(part => part.map(v => ids[v])) : null,
+                nodes: subgraph.nodes.map(v => ids[v]),
+                edges: subgraph.pairs.flatMap(([i, j]) => edgesByPair.get(Math.min(i, j) * n + Math.max(i, j)))
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Núcleo del test left-right sobre nodos 0..n-1 y pares de aristas simples.
+     * Devuelve un PlanarEmbedding o null si el grafo no es plano
+     */
+    lrPlanarity(n, pairs) {
+        if (n > 2 && pairs.length > 3 * n - 6) return null;
+
+        const adjacency = Array.from({ length: n }, () => []);
+        for (const [i, j] of pairs) {
+            adjacency[i].push(j);
+            adjacency[j].push(i);
+        }
+
+        // Cada arista orientada v -> w se identifica por v * n + w
+        const key = (v, w) => v * n + w;
+        const targetOf = e => e % n;
+        const sourceOf = e => Math.floor(e / n);
+
+        const height = new Array(n).fill(null);
+        const parentEdge = new Array(n).fill(null);
+        const oriented = Array.from({ length: n }, () => []);
+        const lowpt = new Map();
+        const lowpt2 = new Map();
+        const nestingDepth = new Map();
+        const roots = [];
+
+        // 1. Orientación DFS, puntos bajos y profundidad de anidamiento
+        const orient = v => {
+            const e = parentEdge[v];
+            for (const w of adjacency[v]) {
+                if (lowpt.has(key(v, w)) || lowpt.has(key(w, v))) continue;
+
+                const vw = key(v, w);
+                oriented[v].push(w);
+                lowpt.set(vw, height[v]);
+                lowpt2.set(vw, height[v]);
+
+                if (height[w] === null) {
+                    parentEdge[w] = vw;
+                    height[w] = height[v] + 1;
+                    orient(w);
+                } else {
+                    lowpt.set(vw, height[w]);
+                }
+
+                nestingDepth.set(vw, 2 * lowpt.get(vw) + (lowpt2.get(vw) < height[v] ? 1 : 0));
+
+                if (e !== null) {
+                    if (lowpt.get(vw) < lowpt.get(e)) {
+                        lowpt2.set(e, Math.min(lowpt.get(e), lowpt2.get(vw)));
+                        lowpt.set(e, lowpt.get(vw));
+                    } else if (lowpt.get(vw) > lowpt.get(e)) {
+                        lowpt2.set(e, Math.min(lowpt2.get(e), lowpt.get(vw)));
+                    } else {
+                        lowpt2.set(e, Math.min(lowpt2.get(e), lowpt2.get(vw)));
+                    }
+                }
+            }
+        };
+
+        for (let v = 0; v < n; v++) {
+            if (height[v] === null) {
+                height[v] = 0;
+                roots.push(v);
+                orient(v);
+            }
+        }
+
+        const sortByNesting = () => oriented.map((targets, v) =>
+            targets.slice().sort((a, b) => nestingDepth.get(key(v, a)) - nestingDepth.get(key(v, b)))
+        );
+        let ordered = sortByNesting();
+
+        // 2. Prueba: pila de pares de intervalos de aristas de retorno en conflicto
+        const stack = [];
+        const top = () => stack.length > 0 ? stack[stack.length - 1] : null;
+        const ref = new Map();
+        const side = new Map();
+        const stackBottom = new Map();
+        const lowptEdge = new Map();
+        const refOf = e => ref.has(e) ? ref.get(e) : null;
+        const sideOf = e => side.has(e) ? side.get(e) : 1;
+
+        const interval = (low = null, high = null) => ({ low, high });
+        const isEmpty = range => range.low === null && range.high === null;
+        const conflicting = (range, b) => !isEmpty(range) && lowpt.get(range.high) > lowpt.get(b);
+        const swap = pair => { [pair.left, pair.right] = [pair.right, pair.left]; };
+        const lowest = pair => {
+            if (isEmpty(pair.left)) return lowpt.get(pair.right.low);
+            if (isEmpty(pair.right)) return lowpt.get(pair.left.low);
+            return Math.min(lowpt.get(pair.left.low), lowpt.get(pair.right.low));
+        };
+
+        const addConstraints = (ei, e) => {
+            const pair = { left: interval(), right: interval() };
+
+            // Las aristas de retorno de ei van todas al mismo lado
+            do {
+                const q = stack.pop();
+                if (!isEmpty(q.left)) swap(q);
+                if (!isEmpty(q.left)) return false;
+
+                if (lowpt.get(q.right.low) > lowpt.get(e)) {
+                    if (isEmpty(pair.right)) {
+                        pair.right = { ...q.right };
+                    } else {
+                        ref.set(pair.right.low, q.right.high);
+                    }
+                    pair.right.low = q.right.low;
+                } else {
+                    ref.set(q.right.low, lowptEdge.get(e));
+                }
+            } while (top() !== stackBottom.get(ei));
+
+            // Las aristas de retorno de hermanos anteriores en conflicto van al lado opuesto
+            while (top() && (conflicting(top().left, ei) || conflicting(top().right, ei))) {
+                const q = stack.pop();
+                if (conflicting(q.right, ei)) swap(q);
+                if (conflicting(q.right, ei)) return false;
+
+                ref.set(pair.right.low, q.right.high);
+                if (q.right.low !== null) {
+                    pair.right.low = q.right.low;
+                }
+
+                if (isEmpty(pair.left)) {
+                    pair.left = { ...q.left };
+                } else {
+                    ref.set(pair.left.low, q.left.high);
+                }
+                pair.left.low = q.left.low;
+            }
+
+            if (!(isEmpty(pair.left) && isEmpty(pair.right))) {
+                stack.push(pair);
+            }
+            return true;
+        };
+
+        const removeBackEdges = e => {
+            const u = sourceOf(e);
+
+            while (stack.length > 0 && lowest(top()) === height[u]) {
+                const pair = stack.pop();
+                if (pair.left.low !== null) {
+                    side.set(pair.left.low, -1);
+                }
+            }
+
+            if (stack.length > 0) {
+                const pair = stack.pop();
+
+                while (pair.left.high !== null && targetOf(pair.left.high) === u) {
+                    pair.left.high = refOf(pair.left.high);
+                }
+                if (pair.left.high === null && pair.left.low !== null) {
+                    ref.set(pair.left.low, pair.right.low);
+                    side.set(pair.left.low, -1);
+                    pair.left.low = null;
+                }
+
+                while (pair.right.high !== null && targetOf(pair.right.high) === u) {
+                    pair.right.high = refOf(pair.right.high);
+                }
+                if (pair.right.high === null && pair.right.low !== null) {
+                    ref.set(pair.right.low, pair.left.low);
+                    side.set(pair.right.low, -1);
+                    pair.right.low = null;
+                }
+
+                stack.push(pair);
+            }
+
+            // El lado de e es el de su arista de retorno más alta
+            if (lowpt.get(e) < height[u]) {
+                const highLeft = top().left.high;
+                const highRight = top().right.high;
+                ref.set(e, highLeft !== null && (highRight === null || lowpt.get(highLeft) > lowpt.get(highRight))
+                    ? highLeft
+                    : highRight);
+            }
+        };
+
+        const test = v => {
+            const e = parentEdge[v];
+            for (const w of ordered[v]) {
+                const ei = key(v, w);
+                stackBottom.set(ei, top());
+
+                if (ei === parentEdge[w]) {
+                    if (!test(w)) return false;
+                } else {
+                    lowptEdge.set(ei, ei);
+                    stack.push({ left: interval(), right: interval(ei, ei) });
+                }
+
+                if (lowpt.get(ei) < height[v]) {
+                    if (w === ordered[v][0]) {
+                        lowptEdge.set(e, lowptEdge.get(ei));
+                    } else if (!addConstraints(ei, e)) {
+                        return false;
+                    }
+                }
+            }
+
+            if (e !== null) {
+                removeBackEdges(e);
+            }
+            return true;
+        };
+
+        for (const root of roots) {
+            if (!test(root)) return null;
+        }
+
+        // 3. Embedding: se resuelven los lados relativos y se insertan las aristas de retorno
+        const sign = e => {
+            if (refOf(e) !== null) {
+                side.set(e, sideOf(e) * sign(ref.get(e)));
+                ref.set(e, null);
+            }
+            return sideOf(e);
+        };
+
+        oriented.forEach((targets, v) => {
+            for (const w of targets) {
+                const e = key(v, w);
+                nestingDepth.set(e, sign(e) * nestingDepth.get(e));
+            }
+        });
+        ordered = sortByNesting();
+
+        const embedding = new PlanarEmbedding(n);
+        ordered.forEach((targets, v) => {
+            let previous = null;
+            for (const w of targets) {
+                embedding.addHalfEdge(v, w, { ccw: previous });
+                previous = w;
+            }
+        });
+
+        const leftRef = new Array(n).fill(null);
+        const rightRef = new Array(n).fill(null);
+        const embed = v => {
+            for (const w of ordered[v]) {
+                const ei = key(v, w);
+                if (ei === parentEdge[w]) {
+                    embedding.addHalfEdgeFirst(w, v);
+                    leftRef[v] = w;
+                    rightRef[v] = w;
+                    embed(w);
+                } else if (sideOf(ei) === 1) {
+                    embedding.addHalfEdge(w, v, { ccw: rightRef[w] });
+                } else {
+                    embedding.addHalfEdge(w, v, { cw: leftRef[w] });
+                    leftRef[w] = v;
+                }
+            }
+        };
+        roots.forEach(embed);
+
+        return embedding;
+    }
+
+    /**
+     * Subgrafo de Kuratowski: se eliminan aristas mientras el grafo siga sin ser plano.
+     * Lo que queda es una subdivisión de K5 o de K3,3
+     */
+    kuratowskiSubgraph(n, pairs, statistics) {
+        let remaining = pairs.slice();
+        for (const pair of pairs) {
+            const without = remaining.filter(other => other !== pair);
+            statistics.planarityTests++;
+            if (this.lrPlanarity(n, without) === null) {
+                remaining = without;
+            }
+        }
+
+        const adjacency = new Map();
+        for (const [i, j] of remaining) {
+            if (!adjacency.has(i)) adjacency.set(i, []);
+            if (!adjacency.has(j)) adjacency.set(j, []);
+            adjacency.get(i).push(j);
+            adjacency.get(j).push(i);
+        }
+
+        const nodes = Array.from(adjacency.keys()).sort((a, b) => a - b);
+        const branchNodes = nodes.filter(v => adjacency.get(v).length >= 3);
+        const type = branchNodes.length === 5 ? 'K5' : 'K3,3';
+
+        // En K3,3 se recorren los caminos subdivididos para separar las dos partes
+        let parts = null;
+        if (type === 'K3,3') {
+            const isBranch = new Set(branchNodes);
+            const partOf = new Map([[branchNodes[0], 0]]);
+            const queue = [branchNodes[0]];
+
+            while (queue.length > 0) {
+                const branch = queue.shift();
+                for (const first of adjacency.get(branch)) {
+                    let previous = branch;
+                    let current = first;
+                    while (!isBranch.has(current)) {
+                        const next = adjacency.get(current).find(v => v !== previous);
+                        previous = current;
+                        current = next;
+                    }
+                    if (!partOf.has(current)) {
+                        partOf.set(current, 1 - partOf.get(branch));
+                        queue.push(current);
+                    }
+                }
+            }
+
+            parts = [0, 1].map(part => branchNodes.filter(v => partOf.get(v) === part));
+        }
+
+        return { type, branchNodes, parts, nodes, pairs: remaining };
+    }
+
+    /**
+     * Dibujo sin cruces a partir de un embedding plano: se triangulan las caras interiores,
+     * la cara más grande se fija sobre un polígono convexo y cada nodo interior se coloca
+     * en el baricentro de sus vecinos (teorema de Tutte). Coordenadas normalizadas a [0, 1]
+     */
+    planarDrawing(embedding) {
+        const n = embedding.size;
+        if (n === 0) return [];
+        if (n === 1) return [{ x: 0.5, y: 0.5 }];
+        if (n === 2) return [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }];
+
+        const { embedding: triangulated, outerFace } = this.triangulateEmbedding(embedding);
+        const positions = new Array(n).fill(null);
+
+        // Sentido del polígono elegido para que el orden horario del embedding coincida con el de la pantalla
+        outerFace.forEach((v, index) => {
+            const angle = -Math.PI / 2 - (2 * Math.PI * index) / outerFace.length;
+            positions[v] = { x: 0.5 + 0.5 * Math.cos(angle), y: 0.5 + 0.5 * Math.sin(angle) };
+        });
+
+        // Sistema lineal: grado(v)·p(v) − Σ p(interiores vecinos) = Σ p(exteriores vecinos)
+        const interior = [];
+        for (let v = 0; v < n; v++) {
+            if (positions[v] === null) interior.push(v);
+        }
+        const row = new Map(interior.map((v, i) => [v, i]));
+        const size = interior.length;
+        const matrix = interior.map(() => new Array(size + 2).fill(0));
+
+        interior.forEach((v, i) => {
+            for (const w of triangulated.neighborsCwOrder(v)) {
+                matrix[i][i]++;
+                if (row.has(w)) {
+                    matrix[i][row.get(w)]--;
+                } else {
+                    matrix[i][size] += positions[w].x;
+                    matrix[i][size + 1] += positions[w].y;
+                }
+            }
+        });
+
+        // Eliminación gaussiana con pivoteo parcial (matriz diagonalmente dominante)
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < size; r++) {
+                if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+            for (let r = 0; r < size; r++) {
+                if (r === col || matrix[r][col] === 0) continue;
+                const factor = matrix[r][col] / matrix[col][col];
+                for (let c = col; c < size + 2; c++) {
+                    matrix[r][c] -= factor * matrix[col][c];
+                }
+            }
+        }
+
+        interior.forEach((v, i) => {
+            positions[v] = { x: matrix[i][size] / matrix[i][i], y: matrix[i][size + 1] / matrix[i][i] };
+        });
+
+        return positions;
+    }
+
+    /**
+     * Copia del embedding conexa, biconexa y con todas las caras triangulares salvo la exterior
+     * (la de más nodos), que se devuelve como lista de nodos
+     */
+    triangulateEmbedding(embedding) {
+        const triangulated = embedding.copy();
+        const n = triangulated.size;
+
+        // 1. Un único componente: se enlaza un nodo de cada componente con el siguiente
+        const representatives = [];
+        const seen = new Set();
+        for (let v = 0; v < n; v++) {
+            if (seen.has(v)) continue;
+            representatives.push(v);
+            seen.add(v);
+            const queue = [v];
+            while (queue.length > 0) {
+                for (const w of triangulated.neighborsCwOrder(queue.shift())) {
+                    if (!seen.has(w)) {
+                        seen.add(w);
+                        queue.push(w);
+                    }
+                }
+            }
+        }
+        for (let i = 0; i + 1 < representatives.length; i++) {
+            triangulated.connectComponents(representatives[i], representatives[i + 1]);
+        }
+
+        // 2. Caras sin vértices repetidos (biconexión) y elección de la cara exterior
+        const counted = new Set();
+        const faces = [];
+        let outerFace = [];
+        for (let v = 0; v < n; v++) {
+            const start = triangulated.leftmost[v];
+            let w = start;
+            do {
+                const face = this.biconnectFace(triangulated, v, w, counted);
+                if (face.length > 0) {
+                    faces.push(face);
+                    if (face.length > outerFace.length) outerFace = face;
+                }
+                w = triangulated.cw[v].get(w);
+            } while (w !== start);
+        }
+
+        // 3. Triangulación de las caras interiores
+        for (const face of faces) {
+            if (face !== outerFace) {
+                this.triangulateFace(triangulated, face[0], face[1]);
+            }
+        }
+
+        return { embedding: triangulated, outerFace };
+    }
+
+    /**
+     * Recorre la cara de la semiarista (start, next) y añade atajos cuando un nodo se repite,
+     * de modo que el borde de la cara sea un ciclo simple. Devuelve sus nodos ([] si ya se recorrió)
+     */
+    biconnectFace(embedding, start, next, counted) {
+        const key = (v, w) => v * embedding.size + w;
+        if (counted.has(key(start, next))) return [];
+        counted.add(key(start, next));
+
+        const face = [start];
+        const onFace = new Set(face);
+        let v1 = start;
+        let v2 = next;
+        let v3 = embedding.nextFaceHalfEdge(v1, v2)[1];
+
+        while (v2 !== start || v3 !== next) {
+            if (onFace.has(v2)) {
+                embedding.addHalfEdge(v1, v3, { ccw: v2 });
+                embedding.addHalfEdge(v3, v1, { cw: v2 });
+                counted.add(key(v2, v3));
+                counted.add(key(v3, v1));
+                v2 = v1;
+            } else {
+                onFace.add(v2);
+                face.push(v2);
+            }
+
+            v1 = v2;
+            [v2, v3] = embedding.nextFaceHalfEdge(v2, v3);
+            counted.add(key(v1, v2));
+        }
+
+        return face;
+    }
+
+    /**
+     * Triangula la cara de la semiarista (v1, v2) sin duplicar aristas
+     */
+    triangulateFace(embedding, v1, v2) {
+        let v3 = embedding.nextFaceHalfEdge(v1, v2)[1];
+        let v4 = embedding.nextFaceHalfEdge(v2, v3)[1];
+        if (v1 === v2 || v1 === v3) return;
+
+        while (v1 !== v4) {
+            if (embedding.hasEdge(v1, v3)) {
+                [v1, v2, v3] = [v2, v3, v4];
+            } else {
+                embedding.addHalfEdge(v1, v3, { ccw: v2 });
+                embedding.addHalfEdge(v3, v1, { cw: v2 });
+                [v2, v3] = [v3, v4];
+            }
+            v4 = embedding.nextFaceHalfEdge(v2, v3)[1];
+        }
+    }
+
+    /**
+     * Detección de comunidades (Louvain o propagación de etiquetas) sobre el grafo no dirigido subyacente
+     */
+    detectCommunities(method = 'louvain') {
+        const network = this.buildCommunityNetwork();
+        let search;
+
+        switch (method) {
+            case 'louvain':
+                search = this.louvain(network);
+                break;
+            case 'labelPropagation':
+                search = this.labelPropagation(network);
+                break;
+            default:
+                throw new Error(`Método de comunidades '${method}' no válido`);
+        }
+
+        // Comunidades de mayor a menor tamaño (empates por su primer nodo)
+        const communities = this.groupByLabel(network.nodeIds, search.labels)
+            .sort((a, b) => b.length - a.length || this.compareNodeIds(a[0], b[0]));
+
+        const membership = {};
+        communities.forEach((community, index) => {
+            community.forEach(nodeId => { membership[nodeId] = index; });
+        });
+
+        const names = {
+            louvain: 'Louvain',
+            labelPropagation: 'Label Propagation'
+        };
+
+        return {
+            algorithm: `Communities (${names[method]})`,
+            method: method,
+            communities: communities,
+            membership: membership,
+            communityCount: communities.length,
+            modularity: Math.round(this.modularity(communities, network) * 10000) / 10000,
+            statistics: search.statistics
+        };
+    }
+
+    /**
+     * Red ponderada simétrica por índices: pesos hacia vecinos, lazos y fuerza de cada nodo
+     */
+    buildCommunityNetwork() {
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+        const indexOf = new Map(nodeIds.map((nodeId, index) => [nodeId, index]));
+        const adjacency = nodeIds.map(() => new Map());
+        const loops = nodeIds.map(() => 0);
+
+        for (const edge of this.graph.getEdges()) {
+            const weight = this.graph.isWeighted ? edge.weight : 1;
+            if (!(weight > 0)) {
+                throw new Error(`La arista ${edge.source}-${edge.target} tiene peso ${weight}; las comunidades requieren pesos positivos`);
+            }
+
+            const i = indexOf.get(edge.source);
+            const j = indexOf.get(edge.target);
+            if (i === j) {
+                loops[i] += weight;
+            } else {
+                adjacency[i].set(j, (adjacency[i].get(j) || 0) + weight);
+                adjacency[j].set(i, (adjacency[j].get(i) || 0) + weight);
+            }
+        }
+
+        return { nodeIds, indexOf, adjacency, loops };
+    }
+
+    /**
+     * Fuerza de cada nodo: suma de pesos incidentes, con los lazos contados dos veces
+     */
+    nodeStrengths(adjacency, loops) {
+        return adjacency.map((neighbors, i) => {
+            let strength = 2 * loops[i];
+            for (const weight of neighbors.values()) {
+                strength += weight;
+            }
+            return strength;
+        });
+    }
+
+    /**
+     * Modularidad de Newman de una partición (lista de listas de nodos)
+     */
+    modularity(communities, network = this.buildCommunityNetwork()) {
+        const { indexOf, adjacency, loops } = network;
+        const strengths = this.nodeStrengths(adjacency, loops);
+        const totalWeight = strengths.reduce((sum, strength) => sum + strength, 0);
+
+        if (totalWeight === 0) {
+            return 0;
+        }
+
+        const communityOf = new Map();
+        communities.forEach((community, label) => {
+            community.forEach(nodeId => communityOf.set(indexOf.get(nodeId), label));
+        });
+
+        let quality = 0;
+        communities.forEach((community, label) => {
+            let internal = 0;
+            let total = 0;
+            for (const nodeId of community) {
+                const i = indexOf.get(nodeId);
+                total += strengths[i];
+                internal += 2 * loops[i];
+                for (const [j, weight] of adjacency[i]) {
+                    if (communityOf.get(j) === label) {
+                        internal += weight;
+                    }
+                }
+            }
+            quality += internal / totalWeight - (total / totalWeight) ** 2;
+        });
+
+        return quality;
+    }
+
+    /**
+     * Louvain: movimiento local de nodos por ganancia de modularidad y agregación por niveles
+     */
+    louvain(network) {
+        let adjacency = network.adjacency;
+        let loops = network.loops;
+        // Comunidad de cada nodo original en el nivel actual
+        let labels = network.nodeIds.map((nodeId, index) => index);
+        const levels = [];
+        let moves = 0;
+
+        while (true) {
+            const n = adjacency.length;
+            const strengths = this.nodeStrengths(adjacency, loops);
+            const totalWeight = strengths.reduce((sum, strength) => sum + strength, 0);
+            const community = Array.from({ length: n }, (_, i) => i);
+            const totals = strengths.slice();
+            let improved = false;
+            let moved = true;
+
+            while (moved && totalWeight > 0) {
+                moved = false;
+
+                for (let i = 0; i < n; i++) {
+                    const current = community[i];
+                    totals[current] -= strengths[i];
+
+                    // Peso de las aristas de i hacia cada comunidad vecina
+                    const linkWeights = new Map([[current, 0]]);
+                    for (const [j, weight] of adjacency[i]) {
+                        linkWeights.set(community[j], (linkWeights.get(community[j]) || 0) + weight);
+                    }
+
+                    // Ganancia proporcional a ΔQ; en empate el nodo se queda donde está
+                    const gain = target => linkWeights.get(target) - totals[target] * strengths[i] / totalWeight;
+                    let best = current;
+                    let bestGain = gain(current);
+                    for (const target of linkWeights.keys()) {
+                        const targetGain = gain(target);
+                        if (targetGain > bestGain + 1e-12) {
+                            best = target;
+                            bestGain = targetGain;
+                        }
+                    }
+
+                    community[i] = best;
+                    totals[best] += strengths[i];
+                    if (best !== current) {
+                        moved = true;
+                        improved = true;
+                        moves++;
+                    }
+                }
+            }
+
+            if (!improved) {
+                break;
+            }
+
+            // Renumerar comunidades y agregar cada una en un nodo del siguiente nivel
+            const renumber = new Map();
+            community.forEach(label => {
+                if (!renumber.has(label)) {
+                    renumber.set(label, renumber.size);
+                }
+            });
+
+            const nextAdjacency = Array.from({ length: renumber.size }, () => new Map());
+            const nextLoops = new Array(renumber.size).fill(0);
+            for (let i = 0; i < n; i++) {
+                const ci = renumber.get(community[i]);
+                nextLoops[ci] += loops[i];
+                for (const [j, weight] of adjacency[i]) {
+                    const cj = renumber.get(community[j]);
+                    if (ci === cj) {
+                        // Cada arista interna se recorre desde sus dos extremos
+                        nextLoops[ci] += weight / 2;
+                    } else {
+                        nextAdjacency[ci].set(cj, (nextAdjacency[ci].get(cj) || 0) + weight);
+                    }
+                }
+            }
+
+            labels = labels.map(label => renumber.get(community[label]));
+            adjacency = nextAdjacency;
+            loops = nextLoops;
+
+            levels.push({
+                communities: renumber.size,
+                modularity: Math.round(this.modularity(this.groupByLabel(network.nodeIds, labels), network) * 10000) / 10000
+            });
+        }
+
+        return { labels, statistics: { levels, moves } };
+    }
+
+    /**
+     * Propagación de etiquetas asíncrona: cada nodo adopta la etiqueta de mayor peso entre sus vecinos.
+     * El orden de visita y los empates se sortean con una semilla fija para que el resultado sea reproducible
+     */
+    labelPropagation(network, maxIterations = 100, seed = 1) {
+        const { nodeIds, adjacency } = network;
+        const labels = nodeIds.map((nodeId, index) => index);
+        const random = this.seededRandom(seed);
+        const order = nodeIds.map((nodeId, index) => index);
+        let iterations = 0;
+        let converged = false;
+
+        while (iterations < maxIterations && !converged) {
+            iterations++;
+
+            // Fisher-Yates con la semilla
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+
+            for (const i of order) {
+                if (adjacency[i].size === 0) continue;
+
+                const candidates = this.dominantLabels(adjacency[i], labels);
+                if (!candidates.includes(labels[i])) {
+                    labels[i] = candidates[Math.floor(random() * candidates.length)];
+                }
+            }
+
+            // Converge cuando cada nodo ya tiene una de las etiquetas dominantes de su vecindario
+            converged = order.every(i => adjacency[i].size === 0 ||
+                this.dominantLabels(adjacency[i], labels).includes(labels[i]));
+        }
+
+        return { labels, statistics: { iterations, converged, seed } };
+    }
+
+    /**
+     * Etiquetas con mayor peso acumulado entre los vecinos de un nodo
+     */
+    dominantLabels(neighbors, labels) {
+        const labelWeights = new Map();
+        for (const [j, weight] of neighbors) {
+            labelWeights.set(labels[j], (labelWeights.get(labels[j]) || 0) + weight);
+        }
+
+        const maxWeight = Math.max(...labelWeights.values());
+        return Array.from(labelWeights.keys())
+            .filter(label => labelWeights.get(label) === maxWeight)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Generador pseudoaleatorio con semilla (mulberry32) en [0, 1)
+     */
+    seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Agrupa los nodos por etiqueta
+     */
+    groupByLabel(nodeIds, labels) {
+        const groups = new Map();
+        nodeIds.forEach((nodeId, index) => {
+            if (!groups.has(labels[index])) {
+                groups.set(labels[index], []);
+            }
+            groups.get(labels[index]).push(nodeId);
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Ordenamiento topológico (Kahn o DFS). Lanza GraphCycleError si el grafo no es acíclico
+     */
+    topologicalSort(method = 'kahn') {
+        if (!this.graph.isDirected) {
+            throw new Error('El ordenamiento topológico requiere un grafo dirigido');
+        }
+
+        switch (method) {
+            case 'kahn':
+                return this.topologicalSortKahn();
+            case 'dfs':
+                return this.topologicalSortDFS();
+            default:
+                throw new Error(`Método de ordenamiento topológico '${method}' no válido`);
+        }
+    }
+
+    /**
+     * Ordenamiento topológico por eliminación de fuentes (Kahn)
+     */
+    topologicalSortKahn() {
+        const inDegree = new Map();
+        for (const nodeId of this.graph.nodes.keys()) {
+            inDegree.set(nodeId, 0);
+        }
+        for (const edge of this.graph.getEdges()) {
+            inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+        }
+
+        const order = [];
+        const levels = [];
+        const steps = [];
+        let sources = Array.from(inDegree.keys()).filter(nodeId => inDegree.get(nodeId) === 0);
+
+        // Procesar por niveles: todas las fuentes actuales forman un nivel
+        while (sources.length > 0) {
+            sources.sort((a, b) => this.compareNodeIds(a, b));
+            levels.push([...sources]);
+
+            const nextSources = [];
+            for (const nodeId of sources) {
+                order.push(nodeId);
+                const released = [];
+
+                for (const neighbor of this.graph.getNeighbors(nodeId)) {
+                    inDegree.set(neighbor, inDegree.get(neighbor) - 1);
+                    if (inDegree.get(neighbor) === 0) {
+                        nextSources.push(neighbor);
+                        released.push(neighbor);
+                    }
+                }
+
+                steps.push({ node: nodeId, released });
+            }
+
+            sources = nextSources;
+        }
+
+        if (order.length < this.graph.nodes.size) {
+            const cycle = this.graph.findCycle();
+            throw new GraphCycleError(
+                `El grafo no es acíclico: ciclo ${cycle.join(' → ')}`,
+                cycle
+            );
+        }
+
+        return {
+            algorithm: 'Topological Sort (Kahn)',
+            method: 'kahn',
+            order: order,
+            levels: levels,
+            steps: steps
+        };
+    }
+
+    /**
+     * Ordenamiento topológico por orden inverso de finalización en DFS
+     */
+    topologicalSortDFS() {
+        const WHITE = 0, GRAY = 1, BLACK = 2;
+        const color = new Map();
+        const stack = [];
+        const finished = [];
+        const steps = [];
+
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+        nodeIds.forEach(nodeId => color.set(nodeId, WHITE));
+
+        const visit = (nodeId) => {
+            color.set(nodeId, GRAY);
+            stack.push(nodeId);
+
+            const neighbors = this.graph.getNeighbors(nodeId)
+                .sort((a, b) => this.compareNodeIds(a, b));
+
+            for (const neighbor of neighbors) {
+                if (color.get(neighbor) === GRAY) {
+                    // Arista de retroceso: el ciclo está en la pila de recursión
+                    const cycle = [...stack.slice(stack.indexOf(neighbor)), neighbor];
+                    throw new GraphCycleError(
+                        `El grafo no es acíclico: ciclo ${cycle.join(' → ')}`,
+                        cycle
+                    );
+                }
+                if (color.get(neighbor) === WHITE) {
+                    visit(neighbor);
+                }
+            }
+
+            stack.pop();
+            color.set(nodeId, BLACK);
+            finished.push(nodeId);
+            steps.push({ node: nodeId, action: 'finished' });
+        };
+
+        for (const nodeId of nodeIds) {
+            if (color.get(nodeId) === WHITE) {
+                visit(nodeId);
+            }
+        }
+
+        return {
+            algorithm: 'Topological Sort (DFS)',
+            method: 'dfs',
+            order: finished.reverse(),
+            steps: steps
+        };
+    }
+
+    /**
+     * Obtiene los IDs de las aristas que recorren un camino de nodos
+     */
+    getPathEdges(path) {
+        const edges = [];
+
+        for (let i = 1; i < path.length; i++) {
+            const edge = this.graph.getEdgeBetween(path[i - 1], path[i]);
+            if (edge) {
+                edges.push(edge.id);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Encuentra el camino más corto entre dos nodos (Dijkstra si el grafo es ponderado, BFS si no)
+     */
+    shortestPath(startNodeId, targetNodeId) {
+        if (this.graph.isWeighted) {
+            const dijkstraResult = this.dijkstra(startNodeId, targetNodeId);
+
+            return {
+                algorithm: 'Shortest Path (Dijkstra)',
+                startNode: startNodeId,
+                targetNode: targetNodeId,
+                path: dijkstraResult.path,
+                distance: dijkstraResult.totalCost,
+                found: dijkstraResult.found,
+                hops: dijkstraResult.found ? dijkstraResult.path.length - 1 : -1
+            };
+        }
+
+        const bfsResult = this.bfs(startNodeId, targetNodeId);
+
+        return {
+            algorithm: 'Shortest Path (BFS)',
+            startNode: startNodeId,
+            targetNode: targetNodeId,
+            path: bfsResult.path,
+            distance: bfsResult.distance,
+            found: bfsResult.found,
+            hops: bfsResult.distance
+        };
+    }
+
+    /**
+     * Verifica si existe un camino entre dos nodos
+     */
+    hasPath(startNodeId, targetNodeId) {
+        const bfsResult = this.bfs(startNodeId, targetNodeId);
+        return {
+            hasPath: bfsResult.found,
+            path: bfsResult.path,
+            distance: bfsResult.distance
+        };
+    }
+
+    /**
+     * Calcula las distancias mínimas desde un nodo a todos los demás
+     */
+    shortestDistances(startNodeId) {
+        const bfsResult = this.bfs(startNodeId);
+        return {
+            startNode: startNodeId,
+            distances: bfsResult.distances,
+            reachableNodes: Object.keys(bfsResult.distances).length
+        };
+    }
+
+    /**
+     * Métricas estructurales basadas en distancias (por peso si el grafo es ponderado, si no por saltos):
+     * excentricidad de cada nodo (de salida en grafos dirigidos), radio, diámetro con sus extremos,
+     * centro, periferia y cintura (ciclo más corto). Las distancias inalcanzables valen Infinity
+     */
+    structuralMetrics() {
+        const metrics = {
+            metric: this.graph.isWeighted ? 'weight' : 'hops',
+            available: true,
+            reason: null,
+            eccentricity: {},
+            radius: null,
+            diameter: null,
+            diameterEndpoints: null,
+            center: [],
+            periphery: [],
+            girth: Infinity,
+            girthCycle: null
+        };
+
+        if (this.graph.nodes.size === 0) return metrics;
+
+        const allPairs = this.floydWarshall();
+        if (allPairs.hasNegativeCycle) {
+            metrics.available = false;
+            metrics.reason = 'El grafo tiene un ciclo negativo: las distancias no están definidas';
+            return metrics;
+        }
+
+        const nodeIds = allPairs.nodes.slice().sort((a, b) => this.compareNodeIds(a, b));
+        const distances = allPairs.distances;
+        const same = (a, b) => a === b || Math.abs(a - b) < 1e-9;
+
+        for (const sourceId of nodeIds) {
+            metrics.eccentricity[sourceId] = Math.max(...nodeIds.map(targetId => distances[sourceId][targetId]));
+        }
+
+        const values = nodeIds.map(nodeId => metrics.eccentricity[nodeId]);
+        metrics.radius = Math.min(...values);
+        metrics.diameter = Math.max(...values);
+        metrics.center = nodeIds.filter(nodeId => same(metrics.eccentricity[nodeId], metrics.radius));
+        metrics.periphery = nodeIds.filter(nodeId => same(metrics.eccentricity[nodeId], metrics.diameter));
+
+        const source = metrics.periphery[0];
+        const target = nodeIds.find(nodeId => same(distances[source][nodeId], metrics.diameter));
+        metrics.diameterEndpoints = { source, target, distance: metrics.diameter };
+
+        if (!this.graph.isWeighted) {
+            const { girth, cycle } = this.unweightedGirth();
+            metrics.girth = girth;
+            metrics.girthCycle = cycle;
+            return metrics;
+        }
+
+        // Cintura ponderada: en dirigidos, arista u → v más el camino más corto v → u;
+        // en no dirigidos, arista {u, v} más el camino más corto u – v que no la usa
+        for (const edge of this.graph.getEdges()) {
+            const weight = this.graph.isWeighted ? parseFloat(edge.weight) : 1;
+            let cycle;
+
+            if (this.graph.isDirected) {
+                const path = this.floydWarshallPath(allPairs, edge.target, edge.source);
+                if (!path) continue;
+                cycle = {
+                    length: weight + path.cost,
+                    nodes: [edge.source, ...path.path],
+                    edges: [edge.id, ...path.edges]
+                };
+            } else {
+                const path = this.restrictedShortestPath(
+                    edge.source,
+                    edge.target,
+                    other => this.graph.isWeighted ? parseFloat(other.weight) : 1,
+                    new Set(),
+                    new Set([edge.id])
+                );
+                if (!path) continue;
+                cycle = {
+                    length: weight + path.cost,
+                    nodes: [...path.nodes, edge.source],
+                    edges: [...path.edges, edge.id]
+                };
+            }
+
+            if (cycle.length < metrics.girth) {
+                metrics.girth = cycle.length;
+                metrics.girthCycle = { nodes: cycle.nodes, edges: cycle.edges };
+            }
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Cintura en saltos con un BFS por vértice, O(n·m). En dirigidos, el ciclo más corto por la raíz
+     * se cierra con un arco u → raíz; en no dirigidos, cada arista que no es del árbol BFS cierra
+     * un ciclo de d[u] + d[v] + 1 (el mínimo sobre todas las raíces es exactamente la cintura)
+     */
+    unweightedGirth() {
+        const adjacency = new Map();
+        for (const nodeId of this.graph.nodes.keys()) {
+            adjacency.set(nodeId, []);
+        }
+        for (const edge of this.graph.getEdges()) {
+            adjacency.get(edge.source).push({ node: edge.target, edge: edge.id });
+            if (!this.graph.isDirected && edge.source !== edge.target) {
+                adjacency.get(edge.target).push({ node: edge.source, edge: edge.id });
+            }
+        }
+
+        let girth = Infinity;
+        let best = null;
+
+        for (const root of adjacency.keys()) {
+            const distance = new Map([[root, 0]]);
+            const parent = new Map([[root, null]]); // nodeId → { node, edge } por el que se descubrió
+            const queue = [root];
+
+            for (let head = 0; head < queue.length; head++) {
+                const current = queue[head];
+                const depth = distance.get(current);
+
+                // Ningún ciclo encontrado desde aquí puede mejorar el actual
+                if ((this.graph.isDirected ? depth + 1 : 2 * depth) >= girth) break;
+
+                for (const { node: neighbor, edge } of adjacency.get(current)) {
+                    if (!distance.has(neighbor)) {
+                        distance.set(neighbor, depth + 1);
+                        parent.set(neighbor, { node: current, edge });
+                        queue.push(neighbor);
+                    } else if (this.graph.isDirected) {
+                        if (neighbor === root && depth + 1 < girth) {
+                            girth = depth + 1;
+                            best = { root, closing: { from: current, to: root, edge }, parent };
+                        }
+                    } else if (parent.get(current)?.edge !== edge) {
+                        const length = depth + distance.get(neighbor) + 1;
+                        if (length < girth) {
+                            girth = length;
+                            best = { root, closing: { from: current, to: neighbor, edge }, parent };
+                        }
+                    }
+                }
+            }
+        }
+
+        if (!best) return { girth, cycle: null };
+
+        // Camino de la raíz a un nodo siguiendo los padres del BFS
+        const branch = nodeId => {
+            const nodes = [nodeId];
+            const edges = [];
+            for (let step = best.parent.get(nodeId); step; step = best.parent.get(step.node)) {
+                nodes.unshift(step.node);
+                edges.unshift(step.edge);
+            }
+            return { nodes, edges };
+        };
+
+        const { from, to, edge } = best.closing;
+        const toFrom = branch(from);
+        const toTo = branch(to);
+
+        // raíz → from, arista de cierre y to → raíz (en dirigidos to es la propia raíz)
+        return {
+            girth,
+            cycle: {
+                nodes: [...toFrom.nodes, ...toTo.nodes.slice().reverse()],
+                edges: [...toFrom.edges, edge, ...toTo.edges.slice().reverse()]
+            }
+        };
+    }
+
+    /**
+     * Compara cualquier subconjunto de algoritmos MST (kruskal, prim, boruvka): pesos, aristas y operaciones
+     */
+    compareMST(algorithms = ['kruskal', 'prim', 'boruvka'], { forest = false } = {}) {
+        const runners = {
+            kruskal: () => this.kruskal({ forest }),
+            prim: () => this.prim(null, { forest }),
+            boruvka: () => this.boruvka({ forest })
+        };
+
+        if (algorithms.length === 0) {
+            throw new Error('Seleccione al menos un algoritmo MST para comparar');
+        }
+
+        const unknown = algorithms.find(key => !runners[key]);
+        if (unknown) {
+            throw new Error(`Algoritmo MST '${unknown}' no válido`);
+        }
+
+        try {
+            const results = {};
+            for (const key of algorithms) {
+                results[key] = runners[key]();
+            }
+
+            const [reference, ...others] = algorithms.map(key => results[key]);
+
+            return {
+                algorithms: algorithms.map(key => results[key].algorithm),
+                results: results,
+                comparison: {
+                    sameWeight: others.every(result => Math.abs(result.totalWeight - reference.totalWeight) < 0.001),
+                    identical: others.every(result => this.areMSTsIdentical(reference.mstEdges, result.mstEdges)),
+                    summary: algorithms.map(key => ({
+                        key: key,
+                        algorithm: results[key].algorithm,
+                        totalWeight: results[key].totalWeight,
+                        edges: results[key].mstEdges.length,
+                        efficiency: results[key].statistics.efficiency,
+                        operations: results[key].statistics.operations
+                    }))
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error al comparar MST: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verifica si dos MSTs son idénticos
+     */
+    areMSTsIdentical(edges1, edges2) {
+        if (edges1.length !== edges2.length) {
+            return false;
+        }
+
+        const ids = new Set(edges1.map(edge => edge.id));
+        return edges2.every(edge => ids.has(edge.id));
+    }
+
+    /**
+     * Reconstruye un camino desde el mapa de padres
+     */
+    reconstructPath(parent, start, end) {
+        const path = [];
+        let current = end;
+
+        while (current !== null) {
+            path.unshift(current);
+            current = parent.get(current);
+        }
+
+        return path[0] === start ? path : [];
+    }
+
+    /**
+     * Obtiene los vecinos de un nodo junto con el costo de la arista que los une
+     */
+    getWeightedNeighbors(nodeId) {
+        return this.graph.getNodeEdges(nodeId).map(edge => ({
+            node: edge.source === nodeId ? edge.target : edge.source,
+            weight: this.graph.isWeighted ? parseFloat(edge.weight) : 1,
+            edge: edge
+        }));
+    }
+
+    /**
+     * Compara IDs de nodo por su parte numérica y luego alfabéticamente
+     */
+    compareNodeIds(a, b) {
+        // Extraer el número completo del ID (ej: "S10" -> 10, "Node5" -> 5)
+        const getNum = (id) => {
+            const match = id.match(/(\d+)/);
+            return match ? parseInt(match[1]) : 0;
+        };
+
+        const numA = getNum(a);
+        const numB = getNum(b);
+
+        if (numA !== numB) {
+            return numA - numB;
+        }
+        return a.localeCompare(b);
+    }
+
+    /**
+     * Ciclos del grafo: en dirigidos, todos los ciclos simples (algoritmo de Johnson, incluidos los lazos);
+     * en no dirigidos, una base de ciclos fundamentales respecto a un bosque BFS.
+     * Con limit se deja de buscar al alcanzar ese número de ciclos
+     */
+    detectCycles({ limit = 1000 } = {}) {
+        const result = this.graph.isDirected
+            ? this.johnsonCycles(limit)
+            : this.fundamentalCycles(limit);
+
+        result.cycles.forEach(cycle => {
+            cycle.length = cycle.edges.length;
+            cycle.weight = cycle.edges.reduce((sum, edgeId) => {
+                const edge = this.graph.getEdge(edgeId);
+                return sum + (this.graph.isWeighted ? parseFloat(edge.weight) : 1);
+            }, 0);
+        });
+
+        result.count = result.cycles.length;
+        result.limit = limit;
+        return result;
+    }
+
+    /**
+     * Algoritmo de Johnson: para cada nodo s (en orden), ciclos que empiezan en s dentro de la
+     * componente fuerte de s en el subgrafo de nodos >= s, con bloqueo para no repetir búsquedas
+     */
+    johnsonCycles(limit) {
+        const nodeIds = Array.from(this.graph.nodes.keys()).sort((a, b) => this.compareNodeIds(a, b));
+        const adjacency = new Map(nodeIds.map(nodeId => [
+            nodeId,
+            this.getWeightedNeighbors(nodeId).sort((a, b) => this.compareNodeIds(a.node, b.node))
+        ]));
+        const predecessors = new Map(nodeIds.map(nodeId => [nodeId, []]));
+        for (const [nodeId, neighbors] of adjacency) {
+            neighbors.forEach(({ node }) => predecessors.get(node).push(nodeId));
+        }
+
+        const cycles = [];
+        const statistics = { componentSearches: 0, recursiveCalls: 0 };
+        let truncated = false;
+
+        const reach = (start, allowed, next) => {
+            const seen = new Set([start]);
+            const stack = [start];
+            while (stack.length > 0) {
+                for (const neighbor of next(stack.pop())) {
+                    if (allowed.has(neighbor) && !seen.has(neighbor)) {
+                        seen.add(neighbor);
+                        stack.push(neighbor);
+                    }
+                }
+            }
+            return seen;
+        };
+
+        for (let i = 0; i < nodeIds.length && !truncated; i++) {
+            const start = nodeIds[i];
+            const allowed = new Set(nodeIds.slice(i));
+
+            // Componente fuerte de start: alcanzables desde start que también lo alcanzan
+            const forward = reach(start, allowed, nodeId => adjacency.get(nodeId).map(({ node }) => node));
+            const backward = reach(start, allowed, nodeId => predecessors.get(nodeId));
+            const component = new Set([...forward].filter(nodeId => backward.has(nodeId)));
+            statistics.componentSearches++;
+
+            const blocked = new Set();
+            const blockedBy = new Map(); // B(w): nodos a desbloquear cuando se desbloquee w
+            const nodeStack = [];
+            const edgeStack = [];
+
+            const unblock = nodeId => {
+                blocked.delete(nodeId);
+                for (const other of blockedBy.get(nodeId) || []) {
+                    if (blocked.has(other)) unblock(other);
+                }
+                blockedBy.delete(nodeId);
+            };
+
+            const circuit = nodeId => {
+                statistics.recursiveCalls++;
+                let found = false;
+                nodeStack.push(nodeId);
+                blocked.add(nodeId);
+
+                for (const { node: neighbor, edge } of adjacency.get(nodeId)) {
+                    if (truncated) break;
+                    if (!component.has(neighbor)) continue;
+
+                    if (neighbor === start) {
+                        cycles.push({ nodes: [...nodeStack, start], edges: [...edgeStack, edge.id] });
+                        found = true;
+                        truncated = cycles.length >= limit;
+                    } else if (!blocked.has(neighbor)) {
+                        edgeStack.push(edge.id);
+                        if (circuit(neighbor)) found = true;
+                        edgeStack.pop();
+                    }
+                }
+
+                if (found) {
+                    unblock(nodeId);
+                } else {
+                    for (const { node: neighbor } of adjacency.get(nodeId)) {
+                        if (!component.has(neighbor)) continue;
+                        if (!blockedBy.has(neighbor)) blockedBy.set(neighbor, new Set());
+                        blockedBy.get(neighbor).add(nodeId);
+                    }
+                }
+
+                nodeStack.pop();
+                return found;
+            };
+
+            circuit(start);
+        }
+
+        return {
+            algorithm: 'Johnson',
+            directed: true,
+            cycles: cycles,
+            truncated: truncated,
+            statistics: statistics
+        };
+    }
+
+    /**
+     * Base de ciclos fundamentales: cada arista fuera del bosque BFS cierra un ciclo con el camino
+     * del árbol entre sus extremos; hay m − n + c ciclos independientes
+     */
+    fundamentalCycles(limit) {
+        const adjacency = this.getUndirectedAdjacency();
+        const parent = new Map();
+        const depth = new Map();
+        const treeEdges = new Set();
+        let components = 0;
+
+        for (const root of adjacency.keys()) {
+            if (depth.has(root)) continue;
+
+            components++;
+            depth.set(root, 0);
+            parent.set(root, null);
+            const queue = [root];
+
+            while (queue.length > 0) {
+                const current = queue.shift();
+                for (const { node: neighbor, edge } of adjacency.get(current)) {
+                    if (depth.has(neighbor)) continue;
+                    depth.set(neighbor, depth.get(current) + 1);
+                    parent.set(neighbor, { node: current, edge: edge.id });
+                    treeEdges.add(edge.id);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        const nonTreeEdges = this.graph.getEdges()
+            .filter(edge => !treeEdges.has(edge.id))
+            .sort((a, b) => this.compareNodeIds(a.source, b.source) || this.compareNodeIds(a.target, b.target));
+
+        const cycles = [];
+        for (const edge of nonTreeEdges) {
+            if (cycles.length >= limit) break;
+
+            // Subir por el árbol desde ambos extremos hasta el ancestro común
+            let u = edge.source;
+            let v = edge.target;
+            const fromSource = [{ node: u }];
+            const fromTarget = [{ node: v }];
+            while (u !== v) {
+                if (depth.get(u) >= depth.get(v)) {
+                    fromSource.push(parent.get(u));
+                    u = parent.get(u).node;
+                } else {
+                    fromTarget.push(parent.get(v));
+                    v = parent.get(v).node;
+                }
+            }
+
+            // source → ... → ancestro → ... → target → source
+            const nodes = [
+                ...fromSource.map(step => step.node),
+                ...fromTarget.slice(0, -1).reverse().map(step => step.node),
+                edge.source
+            ];
+            const edges = [
+                ...fromSource.slice(1).map(step => step.edge),
+                ...fromTarget.slice(1).reverse().map(step => step.edge),
+                edge.id
+            ];
+            cycles.push({ nodes, edges });
+        }
+
+        return {
+            algorithm: 'Fundamental Cycle Basis',
+            directed: false,
+            cycles: cycles,
+            truncated: cycles.length < nonTreeEdges.length,
+            statistics: {
+                cyclomaticNumber: nonTreeEdges.length,
+                treeEdges: treeEdges.size,
+                components: components
+            }
+        };
+    }
+
+    /**
+     * Componentes fuertemente conexas (Tarjan o Kosaraju) junto con el DAG de condensación
+     */
+    stronglyConnectedComponents(method = 'tarjan') {
+        let result;
+
+        switch (method) {
+            case 'tarjan':
+                result = this.tarjanSCC();
+                break;
+            case 'kosaraju':
+                result = this.kosarajuSCC();
+                break;
+            default:
+                throw new Error(`Método de componentes fuertemente conexas '${method}' no válido`);
+        }
+
+        // Ordenar los miembros de cada componente para una salida estable
+        result.components = result.components.map(component =>
+            component.sort((a, b) => this.compareNodeIds(a, b)));
+
+        const componentOf = {};
+        result.components.forEach((component, index) => {
+            component.forEach(nodeId => componentOf[nodeId] = index);
+        });
+
+        return {
+            ...result,
+            componentCount: result.components.length,
+            componentOf: componentOf,
+            isStronglyConnected: result.components.length <= 1,
+            condensation: this.condensation(result.components, componentOf)
+        };
+    }
+
+    /**
+     * Algoritmo de Tarjan: una sola DFS con índices de descubrimiento y low-link
+     */
+    tarjanSCC() {
+        const indices = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        const steps = [];
+        let index = 0;
+
+        const strongConnect = (nodeId) => {
+            indices.set(nodeId, index);
+            lowLink.set(nodeId, index);
+            index++;
+            stack.push(nodeId);
+            onStack.add(nodeId);
+            steps.push({ node: nodeId, action: 'visit', index: indices.get(nodeId) });
+
+            const neighbors = this.graph.getNeighbors(nodeId)
+                .sort((a, b) => this.compareNodeIds(a, b));
+
+            for (const neighbor of neighbors) {
+                if (!indices.has(neighbor)) {
+                    strongConnect(neighbor);
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(neighbor)));
+                } else if (onStack.has(neighbor)) {
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), indices.get(neighbor)));
+                }
+            }
+
+            // El nodo es raíz de una componente: desapilar hasta él
+            if (lowLink.get(nodeId) === indices.get(nodeId)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== nodeId);
+
+                components.push(component);
+                steps.push({ node: nodeId, action: 'component', component: [...component] });
+            }
+        };
+
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+
+        for (const nodeId of nodeIds) {
+            if (!indices.has(nodeId)) {
+                strongConnect(nodeId);
+            }
+        }
+
+        return {
+            algorithm: 'Strongly Connected Components (Tarjan)',
+            method: 'tarjan',
+            // Tarjan encuentra las componentes en orden topológico inverso
+            components: this.graph.isDirected ? components.reverse() : components,
+            lowLink: Object.fromEntries(lowLink),
+            steps: steps
+        };
+    }
+
+    /**
+     * Algoritmo de Kosaraju: DFS por orden de finalización y DFS sobre el grafo traspuesto
+     */
+    kosarajuSCC() {
+        const visited = new Set();
+        const finishOrder = [];
+        const steps = [];
+
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+
+        const visit = (nodeId) => {
+            visited.add(nodeId);
+
+            const neighbors = this.graph.getNeighbors(nodeId)
+                .sort((a, b) => this.compareNodeIds(a, b));
+
+            for (const neighbor of neighbors) {
+                if (!visited.has(neighbor)) {
+                    visit(neighbor);
+                }
+            }
+
+            finishOrder.push(nodeId);
+            steps.push({ node: nodeId, action: 'finished' });
+        };
+
+        for (const nodeId of nodeIds) {
+            if (!visited.has(nodeId)) {
+                visit(nodeId);
+            }
+        }
+
+        // Segunda pasada sobre el grafo traspuesto en orden de finalización decreciente
+        const assigned = new Set();
+        const components = [];
+
+        const collect = (nodeId, component) => {
+            assigned.add(nodeId);
+            component.push(nodeId);
+
+            for (const predecessor of this.graph.getPredecessors(nodeId)) {
+                if (!assigned.has(predecessor)) {
+                    collect(predecessor, component);
+                }
+            }
+        };
+
+        for (const nodeId of finishOrder.reverse()) {
+            if (!assigned.has(nodeId)) {
+                const component = [];
+                collect(nodeId, component);
+                components.push(component);
+                steps.push({ node: nodeId, action: 'component', component: [...component] });
+            }
+        }
+
+        return {
+            algorithm: 'Strongly Connected Components (Kosaraju)',
+            method: 'kosaraju',
+            components: components,
+            finishOrder: finishOrder,
+            steps: steps
+        };
+    }
+
+    /**
+     * Construye el DAG de condensación: un nodo por componente y las aristas entre componentes
+     */
+    condensation(components, componentOf) {
+        const edges = new Map();
+
+        for (const edge of this.graph.getEdges()) {
+            const source = componentOf[edge.source];
+            const target = componentOf[edge.target];
+            if (source === target) continue;
+
+            const key = `${source}->${target}`;
+            if (!edges.has(key)) {
+                edges.set(key, { source, target, edges: [] });
+            }
+            edges.get(key).edges.push(edge.id);
+        }
+
+        return {
+            nodes: components.map((members, index) => ({ id: `C${index + 1}`, index, members })),
+            edges: Array.from(edges.values())
+        };
+    }
+
+    /**
+     * Análisis de conectividad del grafo (componentes débiles y, si es dirigido, fuertes)
+     */
+    connectivityAnalysis() {
+        const components = [];
+        const visited = new Set();
         
         for (const nodeId of this.graph.nodes.keys()) {
             if (!visited.has(nodeId)) {
@@ -517,7 +4792,8 @@ class GraphAlgorithms {
                     visited.add(current);
                     component.push(current);
                     
-                    const neighbors = this.graph.getNeighbors(current);
+                    // Ignorar la dirección: las componentes débiles no dependen del orden de recorrido
+                    const neighbors = this.graph.getUndirectedNeighbors(current);
                     for (const neighbor of neighbors) {
                         if (!visited.has(neighbor)) {
                             stack.push(neighbor);
@@ -528,15 +4804,176 @@ class GraphAlgorithms {
                 components.push(component);
             }
         }
+
+        const strong = this.graph.isDirected
+            ? this.stronglyConnectedComponents().components
+            : components;
         
         return {
             isConnected: components.length <= 1,
+            isStronglyConnected: strong.length <= 1,
             componentCount: components.length,
             components: components,
+            strongComponentCount: strong.length,
+            strongComponents: strong,
             largestComponent: components.reduce((largest, current) => 
                 current.length > largest.length ? current : largest, [])
         };
     }
+
+    /**
+     * Elementos críticos (Tarjan, low-link): puentes, puntos de articulación y bloques biconexos.
+     * En grafos dirigidos se analiza el grafo no dirigido subyacente
+     */
+    criticalElements() {
+        const adjacency = this.getUndirectedAdjacency();
+        const discovery = new Map();
+        const lowLink = new Map();
+        const edgeStack = [];
+        const bridges = [];
+        const articulationPoints = new Set();
+        const blocks = [];
+        let time = 0;
+
+        // Cierra un bloque desapilando aristas hasta la arista de árbol indicada
+        const popBlock = (treeEdgeId) => {
+            const edges = [];
+            const nodes = new Set();
+            let edge;
+            do {
+                edge = edgeStack.pop();
+                edges.push(edge.id);
+                nodes.add(edge.source);
+                nodes.add(edge.target);
+            } while (edge.id !== treeEdgeId);
+
+            blocks.push({
+                nodes: Array.from(nodes).sort((a, b) => this.compareNodeIds(a, b)),
+                edges: edges
+            });
+        };
+
+        const visit = (nodeId, parentEdgeId) => {
+            discovery.set(nodeId, time);
+            lowLink.set(nodeId, time);
+            time++;
+            let children = 0;
+
+            for (const { node: neighbor, edge } of adjacency.get(nodeId)) {
+                if (edge.id === parentEdgeId) continue;
+
+                if (!discovery.has(neighbor)) {
+                    edgeStack.push(edge);
+                    children++;
+                    visit(neighbor, edge.id);
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(neighbor)));
+
+                    // Ningún descendiente de neighbor vuelve por encima de la arista
+                    if (lowLink.get(neighbor) > discovery.get(nodeId)) {
+                        bridges.push(edge);
+                    }
+
+                    if (lowLink.get(neighbor) >= discovery.get(nodeId)) {
+                        if (parentEdgeId !== null || children > 1) {
+                            articulationPoints.add(nodeId);
+                        }
+                        popBlock(edge.id);
+                    }
+                } else if (discovery.get(neighbor) < discovery.get(nodeId)) {
+                    // Arista de retroceso hacia un ancestro
+                    edgeStack.push(edge);
+                    lowLink.set(nodeId, Math.min(lowLink.get(nodeId), discovery.get(neighbor)));
+                }
+            }
+
+            // La raíz de un árbol DFS con más de un hijo también es de articulación
+            if (parentEdgeId === null && children > 1) {
+                articulationPoints.add(nodeId);
+            }
+        };
+
+        for (const nodeId of adjacency.keys()) {
+            if (!discovery.has(nodeId)) {
+                visit(nodeId, null);
+                if (adjacency.get(nodeId).length === 0) {
+                    blocks.push({ nodes: [nodeId], edges: [] });
+                }
+            }
+        }
+
+        const componentCount = this.countComponentsWithout();
+        const sortedPoints = Array.from(articulationPoints).sort((a, b) => this.compareNodeIds(a, b));
+
+        return {
+            algorithm: 'Critical Elements (Tarjan)',
+            componentCount: componentCount,
+            bridges: bridges.map(edge => ({
+                id: edge.id,
+                source: edge.source,
+                target: edge.target,
+                componentsAfterRemoval: this.countComponentsWithout({ edgeId: edge.id })
+            })),
+            articulationPoints: sortedPoints.map(nodeId => ({
+                node: nodeId,
+                componentsAfterRemoval: this.countComponentsWithout({ nodeId })
+            })),
+            biconnectedComponents: blocks,
+            discovery: Object.fromEntries(discovery),
+            lowLink: Object.fromEntries(lowLink),
+            isBiconnected: this.graph.nodes.size > 2 && componentCount === 1 && articulationPoints.size === 0
+        };
+    }
+
+    /**
+     * Lista de adyacencia ignorando la dirección: nodo → [{ node, edge }] en orden de ID
+     */
+    getUndirectedAdjacency() {
+        const adjacency = new Map();
+        const nodeIds = Array.from(this.graph.nodes.keys())
+            .sort((a, b) => this.compareNodeIds(a, b));
+        nodeIds.forEach(nodeId => adjacency.set(nodeId, []));
+
+        for (const edge of this.graph.getEdges()) {
+            adjacency.get(edge.source).push({ node: edge.target, edge });
+            if (edge.source !== edge.target) {
+                adjacency.get(edge.target).push({ node: edge.source, edge });
+            }
+        }
+
+        for (const neighbors of adjacency.values()) {
+            neighbors.sort((a, b) => this.compareNodeIds(a.node, b.node));
+        }
+
+        return adjacency;
+    }
+
+    /**
+     * Cuenta las componentes (débiles) tras quitar opcionalmente un nodo o una arista
+     */
+    countComponentsWithout({ nodeId = null, edgeId = null } = {}) {
+        const adjacency = this.getUndirectedAdjacency();
+        const visited = new Set();
+        let count = 0;
+
+        for (const start of adjacency.keys()) {
+            if (start === nodeId || visited.has(start)) continue;
+
+            count++;
+            const stack = [start];
+            visited.add(start);
+
+            while (stack.length > 0) {
+                const current = stack.pop();
+                for (const { node, edge } of adjacency.get(current)) {
+                    if (node === nodeId || edge.id === edgeId || visited.has(node)) continue;
+                    visited.add(node);
+                    stack.push(node);
+                }
+            }
+        }
+
+        return count;
+    }
 }
 
 /**
@@ -546,6 +4983,8 @@ class UnionFind {
     constructor(elements) {
         this.parent = new Map();
         this.rank = new Map();
+        this.findCalls = 0; // Contadores de operaciones para comparar algoritmos
+        this.unionCalls = 0;
         
         for (const element of elements) {
             this.parent.set(element, element);
@@ -554,13 +4993,25 @@ class UnionFind {
     }
     
     find(element) {
-        if (this.parent.get(element) !== element) {
-            this.parent.set(element, this.find(this.parent.get(element)));
+        this.findCalls++;
+
+        let root = element;
+        while (this.parent.get(root) !== root) {
+            root = this.parent.get(root);
+        }
+
+        // Compresión de caminos
+        while (element !== root) {
+            const next = this.parent.get(element);
+            this.parent.set(element, root);
+            element = next;
         }
-        return this.parent.get(element);
+
+        return root;
     }
     
     union(element1, element2) {
+        this.unionCalls++;
         const root1 = this.find(element1);
         const root2 = this.find(element2);
         
@@ -582,4 +5033,202 @@ class UnionFind {
     connected(element1, element2) {
         return this.find(element1) === this.find(element2);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Cola de prioridad (montículo binario mínimo) para Dijkstra y algoritmos afines
+ */
+class PriorityQueue {
+    constructor() {
+        this.heap = [];
+        this.counter = 0; // Desempate por orden de inserción
+        this.operations = 0;
+    }
+
+    push(item, priority) {
+        this.operations++;
+        this.heap.push({ item, priority, order: this.counter++ });
+        this.bubbleUp(this.heap.length - 1);
+    }
+
+    pop() {
+        if (this.heap.length === 0) return null;
+
+        this.operations++;
+        const top = this.heap[0];
+        const last = this.heap.pop();
+
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.sinkDown(0);
+        }
+
+        return { item: top.item, priority: top.priority };
+    }
+
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Devuelve el contenido de la cola ordenado por prioridad (sin modificarla)
+     */
+    toArray() {
+        return [...this.heap]
+            .sort((a, b) => this.compare(a, b))
+            .map(({ item, priority }) => ({ item, priority }));
+    }
+
+    compare(a, b) {
+        return a.priority - b.priority || a.order - b.order;
+    }
+
+    bubbleUp(index) {
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            if (this.compare(this.heap[index], this.heap[parentIndex]) >= 0) break;
+
+            [this.heap[index], this.heap[parentIndex]] = [this.heap[parentIndex], this.heap[index]];
+            index = parentIndex;
+        }
+    }
+
+    sinkDown(index) {
+        const length = this.heap.length;
+
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.compare(this.heap[left], this.heap[smallest]) < 0) {
+                smallest = left;
+            }
+            if (right < length && this.compare(this.heap[right], this.heap[smallest]) < 0) {
+                smallest = right;
+            }
+            if (smallest === index) break;
+
+            [this.heap[index], this.heap[smallest]] = [this.heap[smallest], this.heap[index]];
+            index = smallest;
+        }
+    }
+}
+
+/**
+ * Sistema de rotaciones de un grafo plano: para cada nodo, sus vecinos en sentido horario
+ * (listas circulares cw/ccw) y el vecino "más a la izquierda" que usa el test left-right
+ */
+class PlanarEmbedding {
+    constructor(size) {
+        this.size = size;
+        this.cw = Array.from({ length: size }, () => new Map());
+        this.ccw = Array.from({ length: size }, () => new Map());
+        this.leftmost = new Array(size).fill(null);
+    }
+
+    hasEdge(v, w) {
+        return this.cw[v].has(w);
+    }
+
+    /**
+     * Inserta la semiarista v -> w justo antes (cw) o justo después (ccw) de un vecino de referencia
+     */
+    addHalfEdge(v, w, { cw = null, ccw = null } = {}) {
+        if (this.cw[v].size === 0) {
+            this.cw[v].set(w, w);
+            this.ccw[v].set(w, w);
+            this.leftmost[v] = w;
+            return;
+        }
+
+        if (cw !== null) {
+            const before = this.ccw[v].get(cw);
+            this.cw[v].set(w, cw);
+            this.ccw[v].set(w, before);
+            this.cw[v].set(before, w);
+            this.ccw[v].set(cw, w);
+            if (cw === this.leftmost[v]) {
+                this.leftmost[v] = w;
+            }
+        } else if (ccw !== null) {
+            const after = this.cw[v].get(ccw);
+            this.cw[v].set(w, after);
+            this.ccw[v].set(w, ccw);
+            this.ccw[v].set(after, w);
+            this.cw[v].set(ccw, w);
+        } else {
+            throw new Error('Se necesita un vecino de referencia para insertar la semiarista');
+        }
+    }
+
+    addHalfEdgeFirst(v, w) {
+        this.addHalfEdge(v, w, { cw: this.leftmost[v] });
+    }
+
+    /**
+     * Une dos componentes distintos con una arista en cualquier posición
+     */
+    connectComponents(v, w) {
+        this.addHalfEdge(v, w, { cw: this.leftmost[v] });
+        this.addHalfEdge(w, v, { cw: this.leftmost[w] });
+    }
+
+    neighborsCwOrder(v) {
+        const neighbors = [];
+        const start = this.leftmost[v];
+        if (start === null) return neighbors;
+
+        let current = start;
+        do {
+            neighbors.push(current);
+            current = this.cw[v].get(current);
+        } while (current !== start);
+
+        return neighbors;
+    }
+
+    /**
+     * Siguiente semiarista al recorrer el borde de la cara de (v, w)
+     */
+    nextFaceHalfEdge(v, w) {
+        return [w, this.ccw[w].get(v)];
+    }
+
+    /**
+     * Caras del embedding como listas de nodos (cada semiarista pertenece a exactamente una)
+     */
+    faces() {
+        const visited = new Set();
+        const faces = [];
+
+        for (let v = 0; v < this.size; v++) {
+            for (const w of this.neighborsCwOrder(v)) {
+                if (visited.has(v * this.size + w)) continue;
+
+                const face = [];
+                let [a, b] = [v, w];
+                do {
+                    visited.add(a * this.size + b);
+                    face.push(a);
+                    [a, b] = this.nextFaceHalfEdge(a, b);
+                } while (a !== v || b !== w);
+                faces.push(face);
+            }
+        }
+
+        return faces;
+    }
+
+    copy() {
+        const clone = new PlanarEmbedding(this.size);
+        clone.cw = this.cw.map(map => new Map(map));
+        clone.ccw = this.ccw.map(map => new Map(map));
+        clone.leftmost = this.leftmost.slice();
+        return clone;
+    }
+}
@@ -36,7 +36,7 @@ class GraphExporter {
     /**
      * Exporta el grafo en formato CSV
      */
-    exportToCSV(type = 'adjacency') {
+    exportToCSV(type = 'adjacency', algorithmResults = null) {
         let csvContent = '';
         
         switch (type) {
@@ -49,6 +49,12 @@ class GraphExporter {
             case 'nodes':
                 csvContent = this.generateNodeListCSV();
                 break;
+            case 'distances':
+                csvContent = this.generateDistanceCSV();
+                break;
+            case 'communities':
+                csvContent = this.generateCommunityCSV(algorithmResults);
+                break;
             default:
                 throw new Error('Tipo de CSV no válido');
         }
@@ -87,6 +93,44 @@ class GraphExporter {
         return csv;
     }
 
+    /**
+     * Genera matriz de distancias mínimas (Floyd-Warshall) en formato CSV
+     */
+    generateDistanceCSV() {
+        const { nodes, matrix } = this.generateDistanceMatrix();
+
+        let csv = ',' + nodes.join(',') + '\n';
+
+        for (const sourceId of nodes) {
+            const rowValues = nodes.map(targetId => {
+                const distance = matrix[sourceId][targetId];
+                return distance === null ? 'inf' : distance.toString(); // '-inf' se exporta tal cual
+            });
+
+            csv += sourceId + ',' + rowValues.join(',') + '\n';
+        }
+
+        return csv;
+    }
+
+    /**
+     * Genera la asignación nodo → comunidad en formato CSV (Louvain si no se pasa un resultado previo)
+     */
+    generateCommunityCSV(result = null) {
+        const communities = result && result.membership
+            ? result
+            : new GraphAlgorithms(this.graph).detectCommunities('louvain');
+
+        let csv = 'Node,Community\n';
+        communities.communities.forEach((community, index) => {
+            for (const nodeId of community) {
+                csv += `${nodeId},${index + 1}\n`;
+            }
+        });
+
+        return csv;
+    }
+
     /**
      * Genera lista de aristas en formato CSV
      */
@@ -169,10 +213,12 @@ class GraphExporter {
         switch (results.algorithm) {
             case 'DFS':
             case 'BFS':
+            case 'Dijkstra':
                 csv = this.searchAlgorithmToCSV(results);
                 break;
             case 'Kruskal':
             case 'Prim':
+            case 'Borůvka':
                 csv = this.mstAlgorithmToCSV(results);
                 break;
             default:
@@ -223,7 +269,23 @@ class GraphExporter {
             csv += `${edge.source},${edge.target},${edge.weight}\n`;
         });
         
-        if (results.steps) {
+        if (results.trees) {
+            csv += '\nÁrboles por Componente\n';
+            csv += 'Componente,Nodos,Aristas,Peso\n';
+            results.trees.forEach(tree => {
+                csv += `${tree.component},"${tree.nodes.join(', ')}",${tree.edges.length},${tree.totalWeight}\n`;
+            });
+        }
+
+        if (results.algorithm === 'Borůvka') {
+            csv += '\nRondas del Algoritmo\n';
+            csv += 'Ronda,Arista,Peso\n';
+            results.steps.forEach(round => {
+                round.added.forEach(edge => {
+                    csv += `${round.round},${edge.source}-${edge.target},${edge.weight}\n`;
+                });
+            });
+        } else if (results.steps) {
             csv += '\nPasos del Algoritmo\n';
             csv += 'Paso,Arista,Acción,Peso\n';
             results.steps.forEach((step, index) => {
@@ -285,26 +347,26 @@ class GraphExporter {
         );
 
         // CSV
+        const { summary } = comparison.comparison;
         let csv = 'Comparación de Algoritmos MST\n\n';
-        csv += 'Algoritmo,Peso Total,Número de Aristas,Eficiencia\n';
-        csv += `Kruskal,${comparison.comparison.kruskalWeight},${comparison.comparison.kruskalEdges},${comparison.results.kruskal.statistics.efficiency}%\n`;
-        csv += `Prim,${comparison.comparison.primWeight},${comparison.comparison.primEdges},${comparison.results.prim.statistics.efficiency}%\n\n`;
-        
-        csv += 'Resultados\n';
-        csv += `Mismo Peso Total,${comparison.comparison.sameWeight ? 'Sí' : 'No'}\n`;
-        csv += `MSTs Idénticos,${comparison.comparison.identical ? 'Sí' : 'No'}\n\n`;
-        
-        // Aristas de Kruskal
-        csv += 'Aristas MST - Kruskal\n';
-        csv += 'Source,Target,Weight\n';
-        comparison.results.kruskal.mstEdges.forEach(edge => {
-            csv += `${edge.source},${edge.target},${edge.weight}\n`;
+        csv += 'Algoritmo,Peso Total,Número de Aristas,Eficiencia,Aristas Examinadas,Llamadas Find,Llamadas Union,Operaciones de Heap\n';
+        summary.forEach(row => {
+            const ops = row.operations;
+            csv += `${row.algorithm},${row.totalWeight},${row.edges},${row.efficiency}%,`;
+            csv += `${ops.edgesExamined},${ops.findCalls},${ops.unionCalls},${ops.heapOperations}\n`;
         });
         
-        csv += '\nAristas MST - Prim\n';
-        csv += 'Source,Target,Weight\n';
-        comparison.results.prim.mstEdges.forEach(edge => {
-            csv += `${edge.source},${edge.target},${edge.weight}\n`;
+        csv += '\nResultados\n';
+        csv += `Mismo Peso Total,${comparison.comparison.sameWeight ? 'Sí' : 'No'}\n`;
+        csv += `MSTs Idénticos,${comparison.comparison.identical ? 'Sí' : 'No'}\n`;
+        
+        // Aristas de cada algoritmo
+        summary.forEach(row => {
+            csv += `\nAristas MST - ${row.algorithm}\n`;
+            csv += 'Source,Target,Weight\n';
+            comparison.results[row.key].mstEdges.forEach(edge => {
+                csv += `${edge.source},${edge.target},${edge.weight}\n`;
+            });
         });
 
         this.downloadFile(
@@ -376,6 +438,7 @@ class GraphExporter {
             graph: {
                 data: this.graph.toJSON(),
                 statistics: this.graph.getStatistics(),
+                structure: this.generateStructuralMetrics(),
                 properties: {
                     isDirected: this.graph.isDirected,
                     isWeighted: this.graph.isWeighted,
@@ -386,7 +449,8 @@ class GraphExporter {
             algorithms: algorithmResults,
             matrices: {
                 adjacency: this.generateAdjacencyMatrix(),
-                incidence: this.generateIncidenceMatrix()
+                incidence: this.generateIncidenceMatrix(),
+                distances: this.generateDistanceMatrix()
             }
         };
 
@@ -430,6 +494,62 @@ class GraphExporter {
         };
     }
 
+    /**
+     * Convierte una distancia a un valor exportable. JSON no admite Infinity: un par inalcanzable
+     * se exporta como null y uno no acotado (atraviesa un ciclo negativo) con el marcador '-inf'
+     */
+    serializeDistance(distance) {
+        if (distance === Infinity) return null;
+        if (distance === -Infinity) return '-inf';
+        return distance;
+    }
+
+    /**
+     * Genera matriz de distancias mínimas y de siguiente salto (Floyd-Warshall)
+     */
+    generateDistanceMatrix() {
+        const result = new GraphAlgorithms(this.graph).floydWarshall();
+        const matrix = {};
+
+        for (const sourceId of result.nodes) {
+            matrix[sourceId] = {};
+            for (const targetId of result.nodes) {
+                matrix[sourceId][targetId] = this.serializeDistance(result.distances[sourceId][targetId]);
+            }
+        }
+
+        return {
+            nodes: result.nodes,
+            matrix: matrix,
+            next: result.next,
+            hasNegativeCycle: result.hasNegativeCycle
+        };
+    }
+
+    /**
+     * Genera las métricas estructurales (excentricidad, radio, diámetro, cintura...) con las distancias exportables
+     */
+    generateStructuralMetrics() {
+        const metrics = new GraphAlgorithms(this.graph).structuralMetrics();
+        const eccentricity = {};
+
+        for (const [nodeId, value] of Object.entries(metrics.eccentricity)) {
+            eccentricity[nodeId] = this.serializeDistance(value);
+        }
+
+        return {
+            ...metrics,
+            eccentricity: eccentricity,
+            radius: this.serializeDistance(metrics.radius),
+            diameter: this.serializeDistance(metrics.diameter),
+            diameterEndpoints: metrics.diameterEndpoints && {
+                ...metrics.diameterEndpoints,
+                distance: this.serializeDistance(metrics.diameterEndpoints.distance)
+            },
+            girth: this.serializeDistance(metrics.girth)
+        };
+    }
+
     /**
      * Genera matriz de incidencia
      */
@@ -472,17 +592,19 @@ class GraphExporter {
         try {
             const data = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
             
+            // cycle: ciclo que impidió activar el modo DAG guardado en el archivo (o null)
             if (data.graph) {
-                this.graph.fromJSON(data.graph);
+                const cycle = this.graph.fromJSON(data.graph);
                 return {
                     success: true,
+                    cycle: cycle,
                     metadata: data.metadata,
                     algorithmResults: data.algorithmResults
                 };
             } else {
                 // Formato directo del grafo
-                this.graph.fromJSON(data);
-                return { success: true };
+                const cycle = this.graph.fromJSON(data);
+                return { success: true, cycle: cycle };
             }
         } catch (error) {
             throw new Error(`Error al importar JSON: ${error.message}`);
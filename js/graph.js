@@ -7,6 +7,7 @@ class Graph {
         this.edges = new Map(); // Map<id, {id, source, target, weight, label, directed}>
         this.isDirected = false;
         this.isWeighted = false;
+        this.isAcyclic = false; // Modo DAG: rechaza aristas que cierren un ciclo
         this.nodeIdCounter = 1;
         this.edgeIdCounter = 1;
     }
@@ -14,9 +15,31 @@ class Graph {
     /**
      * Configura el tipo de grafo
      */
-    setGraphType(directed = false, weighted = false) {
+    setGraphType(directed = false, weighted = false, acyclic = false) {
         this.isDirected = directed;
         this.isWeighted = weighted;
+        this.isAcyclic = directed && acyclic;
+    }
+
+    /**
+     * Activa o desactiva el modo DAG (solo grafos dirigidos sin ciclos)
+     */
+    setAcyclic(acyclic) {
+        if (acyclic) {
+            if (!this.isDirected) {
+                throw new Error('El modo DAG requiere un grafo dirigido');
+            }
+
+            const cycle = this.findCycle();
+            if (cycle) {
+                throw new GraphCycleError(
+                    `El grafo ya contiene el ciclo ${cycle.join(' → ')}`,
+                    cycle
+                );
+            }
+        }
+
+        this.isAcyclic = acyclic;
     }
 
     /**
@@ -67,11 +90,20 @@ class Graph {
     /**
      * Añade una arista al grafo
      */
-    addEdge(sourceId, targetId, weight = 1, label = '', id = null) {
+    addEdge(sourceId, targetId, weight = 1, label = '', id = null, capacity = null) {
         if (!this.nodes.has(sourceId) || !this.nodes.has(targetId)) {
             throw new Error('Los nodos fuente y destino deben existir');
         }
 
+        // Se admiten pesos negativos (redes de costos, arbitraje), pero deben ser numéricos
+        if (this.isWeighted && !Number.isFinite(Number(weight))) {
+            throw new Error('El peso de la arista debe ser un número válido');
+        }
+
+        if (capacity !== null && !(Number.isFinite(Number(capacity)) && Number(capacity) >= 0)) {
+            throw new Error('La capacidad de la arista debe ser un número no negativo');
+        }
+
         if (!id) {
             id = `edge_${this.edgeIdCounter++}`;
         }
@@ -92,12 +124,25 @@ class Graph {
             }
         }
 
+        // En modo DAG, la arista no puede cerrar un ciclo (destino que ya alcanza al origen)
+        if (this.isAcyclic) {
+            const backPath = this.findPath(targetId, sourceId);
+            if (backPath) {
+                const cycle = [sourceId, ...backPath];
+                throw new GraphCycleError(
+                    `La arista ${sourceId} → ${targetId} cerraría el ciclo ${cycle.join(' → ')}`,
+                    cycle
+                );
+            }
+        }
+
         const edge = {
             id,
             source: sourceId,
             target: targetId,
             weight: this.isWeighted ? weight : 1,
             label: label || (this.isWeighted ? weight.toString() : ''),
+            capacity: capacity === null ? null : Number(capacity), // null: se usa el peso como capacidad
             directed: this.isDirected
         };
 
@@ -129,6 +174,52 @@ class Graph {
         return Array.from(neighbors);
     }
 
+    /**
+     * Capacidad de una arista para flujo en redes: su capacidad explícita o, si no tiene, su peso
+     */
+    getEdgeCapacity(edge) {
+        if (edge.capacity !== null && edge.capacity !== undefined) {
+            return edge.capacity;
+        }
+        return this.isWeighted ? edge.weight : 1;
+    }
+
+    /**
+     * Obtiene los predecesores de un nodo (nodos con una arista hacia él)
+     */
+    getPredecessors(nodeId) {
+        if (!this.isDirected) {
+            return this.getNeighbors(nodeId);
+        }
+
+        const predecessors = new Set();
+
+        for (const edge of this.edges.values()) {
+            if (edge.target === nodeId) {
+                predecessors.add(edge.source);
+            }
+        }
+
+        return Array.from(predecessors);
+    }
+
+    /**
+     * Obtiene los vecinos de un nodo ignorando la dirección de las aristas
+     */
+    getUndirectedNeighbors(nodeId) {
+        const neighbors = new Set();
+
+        for (const edge of this.edges.values()) {
+            if (edge.source === nodeId) {
+                neighbors.add(edge.target);
+            } else if (edge.target === nodeId) {
+                neighbors.add(edge.source);
+            }
+        }
+
+        return Array.from(neighbors);
+    }
+
     /**
      * Obtiene las aristas conectadas a un nodo
      */
@@ -157,6 +248,19 @@ class Graph {
         return Infinity;
     }
 
+    /**
+     * Obtiene la arista que une dos nodos (respetando la dirección en grafos dirigidos)
+     */
+    getEdgeBetween(sourceId, targetId) {
+        for (const edge of this.edges.values()) {
+            if ((edge.source === sourceId && edge.target === targetId) ||
+                (!this.isDirected && edge.source === targetId && edge.target === sourceId)) {
+                return edge;
+            }
+        }
+        return null;
+    }
+
     /**
      * Verifica si existe una arista entre dos nodos
      */
@@ -244,7 +348,7 @@ class Graph {
      */
     clone() {
         const newGraph = new Graph();
-        newGraph.setGraphType(this.isDirected, this.isWeighted);
+        newGraph.setGraphType(this.isDirected, this.isWeighted, this.isAcyclic);
         
         // Copiar nodos
         for (const node of this.nodes.values()) {
@@ -253,7 +357,7 @@ class Graph {
         
         // Copiar aristas
         for (const edge of this.edges.values()) {
-            newGraph.addEdge(edge.source, edge.target, edge.weight, edge.label, edge.id);
+            newGraph.addEdge(edge.source, edge.target, edge.weight, edge.label, edge.id, edge.capacity ?? null);
         }
         
         newGraph.nodeIdCounter = this.nodeIdCounter;
@@ -271,13 +375,15 @@ class Graph {
             edges: Array.from(this.edges.values()),
             isDirected: this.isDirected,
             isWeighted: this.isWeighted,
+            isAcyclic: this.isAcyclic,
             nodeIdCounter: this.nodeIdCounter,
             edgeIdCounter: this.edgeIdCounter
         };
     }
 
     /**
-     * Importa un grafo desde formato JSON
+     * Importa un grafo desde formato JSON. El modo DAG se activa con la misma comprobación que
+     * setAcyclic(): si las aristas contienen un ciclo, el grafo se carga sin él y se devuelve el ciclo
      */
     fromJSON(json) {
         this.clear();
@@ -286,6 +392,7 @@ class Graph {
         
         this.isDirected = data.isDirected || false;
         this.isWeighted = data.isWeighted || false;
+        this.isAcyclic = false;
         this.nodeIdCounter = data.nodeIdCounter || 1;
         this.edgeIdCounter = data.edgeIdCounter || 1;
         
@@ -302,6 +409,17 @@ class Graph {
                 this.edges.set(edge.id, { ...edge });
             }
         }
+
+        if (this.isDirected && data.isAcyclic) {
+            try {
+                this.setAcyclic(true);
+            } catch (error) {
+                if (!(error instanceof GraphCycleError)) throw error;
+                return error.cycle;
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -342,34 +460,126 @@ class Graph {
             maxDegree: Math.max(...degreeValues, 0),
             minDegree: Math.min(...degreeValues, Infinity) === Infinity ? 0 : Math.min(...degreeValues),
             isConnected: this.isConnected(),
+            isWeaklyConnected: this.isConnected(),
+            isStronglyConnected: this.isStronglyConnected(),
             hasCycles: this.hasCycles()
         };
     }
 
     /**
-     * Verifica si el grafo es conexo
+     * Verifica si el grafo es conexo (débilmente conexo si es dirigido)
      */
     isConnected() {
         if (this.nodes.size <= 1) return true;
-        
+
+        const start = this.nodes.keys().next().value;
+        return this.countReachable(start, nodeId => this.getUndirectedNeighbors(nodeId)) === this.nodes.size;
+    }
+
+    /**
+     * Verifica si el grafo es fuertemente conexo (cada nodo alcanza a todos los demás)
+     */
+    isStronglyConnected() {
+        if (!this.isDirected) return this.isConnected();
+        if (this.nodes.size <= 1) return true;
+
+        // Basta con que un nodo alcance a todos y todos lo alcancen a él
+        const start = this.nodes.keys().next().value;
+        return this.countReachable(start, nodeId => this.getNeighbors(nodeId)) === this.nodes.size &&
+            this.countReachable(start, nodeId => this.getPredecessors(nodeId)) === this.nodes.size;
+    }
+
+    /**
+     * Cuenta los nodos alcanzables desde un nodo siguiendo la función de vecinos dada
+     */
+    countReachable(startId, getNeighbors) {
         const visited = new Set();
-        const stack = [this.nodes.keys().next().value];
+        const stack = [startId];
         
         while (stack.length > 0) {
             const nodeId = stack.pop();
             if (visited.has(nodeId)) continue;
             
             visited.add(nodeId);
-            const neighbors = this.getNeighbors(nodeId);
             
-            for (const neighbor of neighbors) {
+            for (const neighbor of getNeighbors(nodeId)) {
                 if (!visited.has(neighbor)) {
                     stack.push(neighbor);
                 }
             }
         }
         
-        return visited.size === this.nodes.size;
+        return visited.size;
+    }
+
+    /**
+     * Busca un camino dirigido (BFS) entre dos nodos; devuelve null si no existe
+     */
+    findPath(sourceId, targetId) {
+        const parent = new Map([[sourceId, null]]);
+        const queue = [sourceId];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+
+            if (current === targetId) {
+                const path = [];
+                for (let node = targetId; node !== null; node = parent.get(node)) {
+                    path.unshift(node);
+                }
+                return path;
+            }
+
+            for (const neighbor of this.getNeighbors(current)) {
+                if (!parent.has(neighbor)) {
+                    parent.set(neighbor, current);
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Encuentra un ciclo dirigido (A → ... → A) o devuelve null si el grafo es acíclico
+     */
+    findCycle() {
+        const WHITE = 0, GRAY = 1, BLACK = 2;
+        const color = new Map();
+        const stack = [];
+
+        for (const nodeId of this.nodes.keys()) {
+            color.set(nodeId, WHITE);
+        }
+
+        const visit = (nodeId) => {
+            color.set(nodeId, GRAY);
+            stack.push(nodeId);
+
+            for (const neighbor of this.getNeighbors(nodeId)) {
+                if (color.get(neighbor) === GRAY) {
+                    return [...stack.slice(stack.indexOf(neighbor)), neighbor];
+                }
+                if (color.get(neighbor) === WHITE) {
+                    const cycle = visit(neighbor);
+                    if (cycle) return cycle;
+                }
+            }
+
+            stack.pop();
+            color.set(nodeId, BLACK);
+            return null;
+        };
+
+        for (const nodeId of this.nodes.keys()) {
+            if (color.get(nodeId) === WHITE) {
+                const cycle = visit(nodeId);
+                if (cycle) return cycle;
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -445,4 +655,15 @@ class Graph {
             }
         }
     }
+}
+
+/**
+ * Error lanzado cuando una operación encuentra (o crearía) un ciclo dirigido
+ */
+class GraphCycleError extends Error {
+    constructor(message, cycle) {
+        super(message);
+        this.name = 'GraphCycleError';
+        this.cycle = cycle;
+    }
 }
\ No newline at end of file
@@ -52,18 +52,57 @@ class GraphApp {
             
             // Configuración del grafo
             isDirected: document.getElementById('isDirected'),
+            isAcyclic: document.getElementById('isAcyclic'),
             isWeighted: document.getElementById('isWeighted'),
             autoRecalculate: document.getElementById('autoRecalculate'),
             
             // Algoritmos
             dfsBtn: document.getElementById('dfsBtn'),
             bfsBtn: document.getElementById('bfsBtn'),
+            dijkstraBtn: document.getElementById('dijkstraBtn'),
+            aStarBtn: document.getElementById('aStarBtn'),
+            kPathsBtn: document.getElementById('kPathsBtn'),
+            bellmanFordBtn: document.getElementById('bellmanFordBtn'),
+            floydWarshallBtn: document.getElementById('floydWarshallBtn'),
+            topoSortBtn: document.getElementById('topoSortBtn'),
+            sccBtn: document.getElementById('sccBtn'),
+            criticalBtn: document.getElementById('criticalBtn'),
+            maxFlowBtn: document.getElementById('maxFlowBtn'),
+            bipartiteBtn: document.getElementById('bipartiteBtn'),
+            eulerianBtn: document.getElementById('eulerianBtn'),
+            tspBtn: document.getElementById('tspBtn'),
+            coloringBtn: document.getElementById('coloringBtn'),
+            centralityBtn: document.getElementById('centralityBtn'),
+            communitiesBtn: document.getElementById('communitiesBtn'),
+            cliquesBtn: document.getElementById('cliquesBtn'),
+            isomorphismBtn: document.getElementById('isomorphismBtn'),
+            planarityBtn: document.getElementById('planarityBtn'),
+            cyclesBtn: document.getElementById('cyclesBtn'),
             kruskalBtn: document.getElementById('kruskalBtn'),
             primBtn: document.getElementById('primBtn'),
+            boruvkaBtn: document.getElementById('boruvkaBtn'),
+            arborescenceBtn: document.getElementById('arborescenceBtn'),
             
             // Selección de nodos
             startNode: document.getElementById('startNode'),
             endNode: document.getElementById('endNode'),
+            dfsClassify: document.getElementById('dfsClassify'),
+            bfsLayered: document.getElementById('bfsLayered'),
+            heuristic: document.getElementById('heuristic'),
+            kPaths: document.getElementById('kPaths'),
+            kPathsMetric: document.getElementById('kPathsMetric'),
+            flowMethod: document.getElementById('flowMethod'),
+            tspMethod: document.getElementById('tspMethod'),
+            tspClosed: document.getElementById('tspClosed'),
+            coloringStrategy: document.getElementById('coloringStrategy'),
+            centralityMetric: document.getElementById('centralityMetric'),
+            communityMethod: document.getElementById('communityMethod'),
+            communityPull: document.getElementById('communityPull'),
+            planarLayout: document.getElementById('planarLayout'),
+            cycleLimit: document.getElementById('cycleLimit'),
+            mstForest: document.getElementById('mstForest'),
+            cliqueMode: document.getElementById('cliqueMode'),
+            cliqueMinSize: document.getElementById('cliqueMinSize'),
             
             // Exportación
             exportJsonBtn: document.getElementById('exportJsonBtn'),
@@ -87,6 +126,8 @@ class GraphApp {
             algorithmOutput: document.getElementById('algorithmOutput'),
             pathResults: document.getElementById('pathResults'),
             pathOutput: document.getElementById('pathOutput'),
+            matrixResults: document.getElementById('matrixResults'),
+            matrixOutput: document.getElementById('matrixOutput'),
             mstResults: document.getElementById('mstResults'),
             mstOutput: document.getElementById('mstOutput'),
             mstComparison: document.getElementById('mstComparison'),
@@ -97,6 +138,14 @@ class GraphApp {
             nodeCount: document.getElementById('nodeCount'),
             edgeCount: document.getElementById('edgeCount'),
             graphDensity: document.getElementById('graphDensity'),
+            graphConnectivity: document.getElementById('graphConnectivity'),
+            structuralDetails: document.getElementById('structuralDetails'),
+            graphRadius: document.getElementById('graphRadius'),
+            graphDiameter: document.getElementById('graphDiameter'),
+            graphCenter: document.getElementById('graphCenter'),
+            graphPeriphery: document.getElementById('graphPeriphery'),
+            graphGirth: document.getElementById('graphGirth'),
+            eccentricityOutput: document.getElementById('eccentricityOutput'),
             
             // Modales
             nodeModal: document.getElementById('nodeModal'),
@@ -153,16 +202,36 @@ class GraphApp {
         
         // Configuración del grafo
         this.elements.isDirected?.addEventListener('change', (e) => {
-            this.graph.setGraphType(e.target.checked, this.graph.isWeighted);
+            // El modo DAG solo tiene sentido en grafos dirigidos
+            this.graph.setGraphType(e.target.checked, this.graph.isWeighted, this.graph.isAcyclic);
+            this.updateGraphTypeControls();
             this.updateVisualization();
+            this.updateStatistics();
             this.saveToHistory('Cambio de tipo de grafo');
         });
+
+        this.elements.isAcyclic?.addEventListener('change', (e) => {
+            try {
+                if (e.target.checked && !this.graph.isDirected) {
+                    this.graph.setGraphType(true, this.graph.isWeighted);
+                    this.updateVisualization();
+                }
+                this.graph.setAcyclic(e.target.checked);
+                this.saveToHistory(`Modo DAG ${e.target.checked ? 'activado' : 'desactivado'}`);
+            } catch (error) {
+                this.visualization.showNotification(error.message, 'error');
+                if (error instanceof GraphCycleError) {
+                    this.visualization.highlightElements(error.cycle, this.algorithms.getPathEdges(error.cycle));
+                }
+            }
+            this.updateGraphTypeControls();
+        });
         
         this.elements.isWeighted?.addEventListener('change', (e) => {
             const wasWeighted = this.graph.isWeighted;
             const isNowWeighted = e.target.checked;
             
-            this.graph.setGraphType(this.graph.isDirected, isNowWeighted);
+            this.graph.setGraphType(this.graph.isDirected, isNowWeighted, this.graph.isAcyclic);
             
             // Si cambió de no ponderado a ponderado, actualizar etiquetas de aristas
             if (!wasWeighted && isNowWeighted) {
@@ -189,12 +258,40 @@ class GraphApp {
             this.autoRecalculate = e.target.checked;
             console.log(`🔄 Recalculación automática ${this.autoRecalculate ? 'activada' : 'desactivada'}`);
         });
+
+        // Las métricas estructurales se calculan al abrir su panel
+        this.elements.structuralDetails?.addEventListener('toggle', () => {
+            if (this.elements.structuralDetails.open) {
+                this.updateStructuralMetrics();
+            }
+        });
         
         // Algoritmos
         this.elements.dfsBtn?.addEventListener('click', () => this.runDFS());
         this.elements.bfsBtn?.addEventListener('click', () => this.runBFS());
+        this.elements.dijkstraBtn?.addEventListener('click', () => this.runDijkstra());
+        this.elements.aStarBtn?.addEventListener('click', () => this.runAStar());
+        this.elements.kPathsBtn?.addEventListener('click', () => this.runKShortestPaths());
+        this.elements.bellmanFordBtn?.addEventListener('click', () => this.runBellmanFord());
+        this.elements.floydWarshallBtn?.addEventListener('click', () => this.runFloydWarshall());
+        this.elements.topoSortBtn?.addEventListener('click', () => this.runTopologicalSort());
+        this.elements.sccBtn?.addEventListener('click', () => this.runStronglyConnectedComponents());
+        this.elements.criticalBtn?.addEventListener('click', () => this.runCriticalElements());
+        this.elements.maxFlowBtn?.addEventListener('click', () => this.runMaxFlow());
+        this.elements.bipartiteBtn?.addEventListener('click', () => this.runBipartiteMatching());
+        this.elements.eulerianBtn?.addEventListener('click', () => this.runEulerian());
+        this.elements.tspBtn?.addEventListener('click', () => this.runTSP());
+        this.elements.coloringBtn?.addEventListener('click', () => this.runColoring());
+        this.elements.centralityBtn?.addEventListener('click', () => this.runCentrality());
+        this.elements.communitiesBtn?.addEventListener('click', () => this.runCommunities());
+        this.elements.cliquesBtn?.addEventListener('click', () => this.runCliques());
+        this.elements.isomorphismBtn?.addEventListener('click', () => this.compareWithFile());
+        this.elements.planarityBtn?.addEventListener('click', () => this.runPlanarity());
+        this.elements.cyclesBtn?.addEventListener('click', () => this.runCycles());
         this.elements.kruskalBtn?.addEventListener('click', () => this.runKruskal());
         this.elements.primBtn?.addEventListener('click', () => this.runPrim());
+        this.elements.boruvkaBtn?.addEventListener('click', () => this.runBoruvka());
+        this.elements.arborescenceBtn?.addEventListener('click', () => this.runMinArborescence());
         
         // Exportación
         this.elements.exportJsonBtn?.addEventListener('click', () => this.exportJSON());
@@ -215,6 +312,28 @@ class GraphApp {
         
         // Resultados
         this.elements.clearResultsBtn?.addEventListener('click', () => this.clearResults());
+        this.elements.matrixOutput?.addEventListener('click', (e) => {
+            const cell = e.target.closest('td[data-source]');
+            if (cell) {
+                this.highlightMatrixPath(cell.dataset.source, cell.dataset.target);
+            }
+        });
+        this.elements.algorithmOutput?.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-clique-index]');
+            if (item && this.lastAlgorithmResults) {
+                this.selectCliqueGroup(this.lastAlgorithmResults, Number(item.dataset.cliqueIndex));
+            }
+            const cycleItem = e.target.closest('li[data-cycle-index]');
+            if (cycleItem && this.lastAlgorithmResults?.cycles) {
+                this.selectCycle(this.lastAlgorithmResults, Number(cycleItem.dataset.cycleIndex));
+            }
+        });
+        this.elements.pathOutput?.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-path-index]');
+            if (item && this.lastAlgorithmResults?.paths) {
+                this.selectKPath(this.lastAlgorithmResults, Number(item.dataset.pathIndex));
+            }
+        });
         
         // Modales
         this.setupModalEventListeners();
@@ -340,6 +459,7 @@ class GraphApp {
     async runDFS() {
         const startNode = this.elements.startNode.value;
         const endNode = this.elements.endNode.value;
+        const classify = this.elements.dfsClassify?.checked ?? false;
         
         if (!startNode) {
             alert('Seleccione un nodo inicial');
@@ -348,7 +468,8 @@ class GraphApp {
 
         // Guardar parámetros del algoritmo para recalculación
         this.currentAlgorithm = 'dfs';
-        this.currentAlgorithmParams = { startNode, endNode: endNode || null };
+        this.currentAlgorithmParams = { startNode, endNode: endNode || null, classify };
+        this.visualization.clearOverlays();
         
         // Limpiar resultados anteriores
         this.elements.pathResults.classList.add('hidden');
@@ -356,8 +477,9 @@ class GraphApp {
         this.showLoading(true);
         
         try {
-            const result = this.algorithms.dfs(startNode, endNode || null);
+            const result = this.algorithms.dfs(startNode, endNode || null, { classify });
             this.displayAlgorithmResult(result);
+            this.displayDFSClassification(result);
             this.lastAlgorithmResults = result;
             
             // Animar el algoritmo
@@ -377,6 +499,7 @@ class GraphApp {
     async runBFS() {
         const startNode = this.elements.startNode.value;
         const endNode = this.elements.endNode.value;
+        const layered = this.elements.bfsLayered?.checked ?? false;
         
         if (!startNode) {
             alert('Seleccione un nodo inicial');
@@ -385,7 +508,8 @@ class GraphApp {
 
         // Guardar parámetros del algoritmo para recalculación
         this.currentAlgorithm = 'bfs';
-        this.currentAlgorithmParams = { startNode, endNode: endNode || null };
+        this.currentAlgorithmParams = { startNode, endNode: endNode || null, layered };
+        this.visualization.clearOverlays();
         
         // Limpiar resultados anteriores
         this.elements.pathResults.classList.add('hidden');
@@ -395,6 +519,7 @@ class GraphApp {
         try {
             const result = this.algorithms.bfs(startNode, endNode || null);
             this.displayAlgorithmResult(result);
+            this.displayBFSTree(result, layered);
             this.lastAlgorithmResults = result;
             
             // Animar el algoritmo
@@ -409,213 +534,1983 @@ class GraphApp {
     }
 
     /**
-     * Ejecuta Kruskal
+     * Ejecuta Dijkstra
      */
-    async runKruskal() {
-        if (!this.graph.isWeighted) {
-            alert('El algoritmo de Kruskal requiere un grafo ponderado');
+    async runDijkstra() {
+        const startNode = this.elements.startNode.value;
+        const endNode = this.elements.endNode.value;
+
+        if (!startNode) {
+            alert('Seleccione un nodo inicial');
             return;
         }
 
         // Guardar parámetros del algoritmo para recalculación
-        this.currentAlgorithm = 'kruskal';
+        this.currentAlgorithm = 'dijkstra';
+        this.currentAlgorithmParams = { startNode, endNode: endNode || null };
+        this.visualization.clearOverlays();
+
+        // Limpiar resultados anteriores
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.dijkstra(startNode, endNode || null);
+            this.displayAlgorithmResult(result);
+            this.lastAlgorithmResults = result;
+
+            // Animar el algoritmo
+            await this.animateDijkstra(result);
+
+            this.saveToHistory(`Dijkstra desde ${startNode}${endNode ? ` hasta ${endNode}` : ' (todas las distancias)'}`);
+        } catch (error) {
+            alert(`Error en Dijkstra: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta A*
+     */
+    async runAStar() {
+        const startNode = this.elements.startNode.value;
+        const endNode = this.elements.endNode.value;
+        const heuristic = this.elements.heuristic?.value || 'euclidean';
+
+        if (!startNode || !endNode) {
+            alert('A* requiere un nodo inicial y un nodo final');
+            return;
+        }
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'aStar';
+        this.currentAlgorithmParams = { startNode, endNode, heuristic };
+        this.visualization.clearOverlays();
+
+        // Limpiar resultados anteriores
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            // La heurística usa las posiciones que el usuario ve en el canvas
+            this.visualization.syncPositions();
+
+            const result = this.algorithms.aStar(startNode, endNode, heuristic);
+            this.displayAlgorithmResult(result);
+            this.displaySearchComparison(this.currentAlgorithmParams);
+            this.lastAlgorithmResults = result;
+
+            // Animar el algoritmo
+            await this.animateAStar(result);
+
+            this.saveToHistory(`A* desde ${startNode} hasta ${endNode} (${heuristic})`);
+        } catch (error) {
+            alert(`Error en A*: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Calcula los K caminos simples más cortos entre los nodos seleccionados (Yen)
+     */
+    async runKShortestPaths() {
+        const startNode = this.elements.startNode.value;
+        const endNode = this.elements.endNode.value;
+        const k = parseInt(this.elements.kPaths?.value, 10) || 3;
+        const metric = this.elements.kPathsMetric?.value || 'weight';
+
+        if (!startNode || !endNode) {
+            alert('Los K caminos más cortos requieren un nodo inicial y un nodo final');
+            return;
+        }
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'kShortestPaths';
+        this.currentAlgorithmParams = { startNode, endNode, k, metric };
+        this.visualization.clearOverlays();
+
+        // Limpiar resultados anteriores
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.kShortestPaths(startNode, endNode, k, metric);
+            this.displayKShortestPaths(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`K caminos más cortos de ${startNode} a ${endNode} (k=${k})`);
+        } catch (error) {
+            alert(`Error en K caminos más cortos: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta Bellman-Ford
+     */
+    async runBellmanFord() {
+        const startNode = this.elements.startNode.value;
+        const endNode = this.elements.endNode.value;
+
+        if (!startNode) {
+            alert('Seleccione un nodo inicial');
+            return;
+        }
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'bellmanFord';
+        this.currentAlgorithmParams = { startNode, endNode: endNode || null };
+        this.visualization.clearOverlays();
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.bellmanFord(startNode, endNode || null);
+            this.displayBellmanFordResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Bellman-Ford desde ${startNode}${endNode ? ` hasta ${endNode}` : ''}`);
+        } catch (error) {
+            alert(`Error en Bellman-Ford: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta Floyd-Warshall
+     */
+    async runFloydWarshall() {
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'floydWarshall';
         this.currentAlgorithmParams = {};
-        
+        this.visualization.clearOverlays();
+
         this.showLoading(true);
-        
+
         try {
-            const result = this.algorithms.kruskal();
-            this.displayMSTResult(result);
+            const result = this.algorithms.floydWarshall();
+            this.displayDistanceMatrix(result);
             this.lastAlgorithmResults = result;
-            
-            // Mostrar MST en canvas separado
-            this.showMSTVisualization(result);
-            
-            this.saveToHistory('Algoritmo de Kruskal');
+
+            this.saveToHistory('Algoritmo de Floyd-Warshall');
         } catch (error) {
-            alert(`Error en Kruskal: ${error.message}`);
+            alert(`Error en Floyd-Warshall: ${error.message}`);
         } finally {
             this.showLoading(false);
         }
     }
 
     /**
-     * Ejecuta Prim
+     * Ejecuta el ordenamiento topológico (Kahn y DFS)
      */
-    async runPrim() {
-        if (!this.graph.isWeighted) {
-            alert('El algoritmo de Prim requiere un grafo ponderado');
+    async runTopologicalSort() {
+        if (!this.graph.isDirected) {
+            alert('El ordenamiento topológico requiere un grafo dirigido');
             return;
         }
-        
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'topologicalSort';
+        this.currentAlgorithmParams = {};
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.displayTopologicalSort();
+            this.lastAlgorithmResults = result;
+
+            if (result) {
+                await this.animateTopologicalSort(result.kahn);
+            }
+
+            this.saveToHistory('Ordenamiento topológico');
+        } catch (error) {
+            alert(`Error en ordenamiento topológico: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta las componentes fuertemente conexas (Tarjan y Kosaraju)
+     */
+    async runStronglyConnectedComponents() {
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'scc';
+        this.currentAlgorithmParams = {};
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.stronglyConnectedComponents('tarjan');
+            this.displaySCCResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory('Componentes fuertemente conexas');
+        } catch (error) {
+            alert(`Error en componentes fuertemente conexas: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta el análisis de puentes, puntos de articulación y bloques biconexos
+     */
+    async runCriticalElements() {
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'criticalElements';
+        this.currentAlgorithmParams = {};
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.criticalElements();
+            this.displayCriticalElements(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory('Elementos críticos');
+        } catch (error) {
+            alert(`Error en elementos críticos: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta el flujo máximo entre el nodo inicial (fuente) y el final (sumidero)
+     */
+    async runMaxFlow() {
         const startNode = this.elements.startNode.value;
+        const endNode = this.elements.endNode.value;
+        const method = this.elements.flowMethod?.value || 'edmondsKarp';
+
+        if (!startNode || !endNode) {
+            alert('El flujo máximo requiere un nodo fuente (inicial) y un nodo sumidero (final)');
+            return;
+        }
 
         // Guardar parámetros del algoritmo para recalculación
-        this.currentAlgorithm = 'prim';
-        this.currentAlgorithmParams = { startNode: startNode || null };
-        
+        this.currentAlgorithm = 'maxFlow';
+        this.currentAlgorithmParams = { startNode, endNode, method };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
         this.showLoading(true);
-        
+
         try {
-            const result = this.algorithms.prim(startNode || null);
-            this.displayMSTResult(result);
+            const result = this.algorithms.maxFlow(startNode, endNode, method);
+            this.displayMaxFlowResult(result);
             this.lastAlgorithmResults = result;
-            
-            // Mostrar MST en canvas separado
-            this.showMSTVisualization(result);
-            
-            this.saveToHistory(`Algoritmo de Prim${startNode ? ` desde ${startNode}` : ''}`);
+
+            // Animar los caminos de aumento en orden
+            await this.animateMaxFlow(result);
+
+            this.saveToHistory(`Flujo máximo de ${startNode} a ${endNode}`);
         } catch (error) {
-            alert(`Error en Prim: ${error.message}`);
+            alert(`Error en flujo máximo: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Comprueba si el grafo es bipartito y, si lo es, calcula el emparejamiento máximo
+     */
+    async runBipartiteMatching() {
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'bipartiteMatching';
+        this.currentAlgorithmParams = {};
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.displayBipartiteResult();
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory('Emparejamiento bipartito');
+        } catch (error) {
+            alert(`Error en emparejamiento bipartito: ${error.message}`);
         } finally {
             this.showLoading(false);
         }
     }
 
     /**
-     * Anima la ejecución de DFS
+     * Busca un camino o circuito euleriano (Hierholzer)
+     */
+    async runEulerian() {
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'eulerian';
+        this.currentAlgorithmParams = {};
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.eulerian();
+            this.displayEulerianResult(result);
+            this.lastAlgorithmResults = result;
+
+            if (result.trail) {
+                await this.animateTrail(result.trail.nodes, result.trail.edges);
+                this.showEulerianOrder(result);
+            }
+
+            this.saveToHistory('Camino euleriano');
+        } catch (error) {
+            alert(`Error en camino euleriano: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta el viajante de comercio (o camino hamiltoniano) con el método seleccionado
+     */
+    async runTSP() {
+        const method = this.elements.tspMethod?.value || 'heldKarp';
+        const closed = this.elements.tspClosed ? this.elements.tspClosed.checked : true;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'tsp';
+        this.currentAlgorithmParams = { method, closed };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.tsp(method, { closed });
+            this.displayTSPResult(result);
+            this.displayTSPComparison({ closed });
+            this.lastAlgorithmResults = result;
+
+            if (result.found) {
+                await this.animateTrail(result.tour, result.tourEdges);
+                this.visualization.markEdges(result.tourEdges, this.visualization.colors.edgeTour);
+            }
+
+            this.saveToHistory(`${closed ? 'TSP' : 'Camino hamiltoniano'} (${method})`);
+        } catch (error) {
+            alert(`Error en TSP: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Colorea los nodos con la estrategia seleccionada
+     */
+    async runColoring() {
+        const strategy = this.elements.coloringStrategy?.value || 'dsatur';
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'coloring';
+        this.currentAlgorithmParams = { strategy };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.colorGraph(strategy);
+            this.displayColoringResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Coloreado (${strategy})`);
+        } catch (error) {
+            alert(`Error en coloreado: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Calcula la centralidad de los nodos con la métrica seleccionada
+     */
+    async runCentrality() {
+        const metric = this.elements.centralityMetric?.value || 'degree';
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'centrality';
+        this.currentAlgorithmParams = { metric };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.centrality(metric);
+            this.displayCentralityResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Centralidad (${metric})`);
+        } catch (error) {
+            alert(`Error en centralidad: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Detecta comunidades con el método seleccionado
+     */
+    async runCommunities() {
+        const method = this.elements.communityMethod?.value || 'louvain';
+        const pull = this.elements.communityPull?.checked ?? true;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'communities';
+        this.currentAlgorithmParams = { method, pull };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.detectCommunities(method);
+            this.displayCommunityResult(result, pull);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Comunidades (${method})`);
+        } catch (error) {
+            alert(`Error en comunidades: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Busca cliques, un conjunto independiente máximo o una cobertura de vértices mínima
+     */
+    async runCliques() {
+        const mode = this.elements.cliqueMode?.value || 'cliques';
+        const minSize = parseInt(this.elements.cliqueMinSize?.value, 10) || 1;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'cliques';
+        this.currentAlgorithmParams = { mode, minSize };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.computeCliqueSearch(this.currentAlgorithmParams);
+            this.displayCliqueResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Cliques (${mode})`);
+        } catch (error) {
+            alert(`Error en cliques: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta la búsqueda de Bron-Kerbosch que corresponde al modo seleccionado
+     */
+    computeCliqueSearch({ mode, minSize }) {
+        switch (mode) {
+            case 'independentSet':
+                return this.algorithms.maximumIndependentSet();
+            case 'vertexCover':
+                return this.algorithms.minimumVertexCover();
+            default:
+                return this.algorithms.findCliques({ minSize });
+        }
+    }
+
+    /**
+     * Compara el grafo actual con un grafo cargado desde archivo
+     */
+    compareWithFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        const data = JSON.parse(e.target.result);
+                        this.runIsomorphism(data.graph || data, `Archivo ${file.name}`);
+                    } catch (error) {
+                        alert(`Error al cargar archivo: ${error.message}`);
+                    }
+                };
+                reader.readAsText(file);
+            }
+        };
+
+        input.click();
+    }
+
+    /**
+     * Compara el grafo actual con un estado del historial
+     */
+    compareWithHistoryState(stateId) {
+        const state = this.history.getState(stateId);
+        if (state) {
+            this.elements.historyModal.classList.add('hidden');
+            this.runIsomorphism(state.graph, `Historial: ${state.description}`);
+        }
+    }
+
+    /**
+     * Comprueba si el grafo actual es isomorfo a otro (VF2)
+     */
+    async runIsomorphism(otherGraph, source) {
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'isomorphism';
+        this.currentAlgorithmParams = { otherGraph, source };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.computeIsomorphism(this.currentAlgorithmParams);
+            this.displayIsomorphismResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Isomorfismo con ${source}`);
+        } catch (error) {
+            alert(`Error en isomorfismo: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Construye el otro grafo a partir de su JSON y ejecuta VF2 contra el actual
+     */
+    computeIsomorphism({ otherGraph, source }) {
+        const other = new Graph();
+        other.fromJSON(otherGraph);
+
+        const result = this.algorithms.isomorphic(this.graph, other);
+        result.source = source;
+        return result;
+    }
+
+    /**
+     * Comprueba la planaridad; si el grafo es plano puede redibujarlo sin cruces
+     */
+    async runPlanarity() {
+        const layout = this.elements.planarLayout?.checked ?? true;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'planarity';
+        this.currentAlgorithmParams = { layout };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.planarity();
+            this.displayPlanarityResult(result, layout);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory('Prueba de planaridad');
+        } catch (error) {
+            alert(`Error en planaridad: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Enumera los ciclos simples (dirigido) o una base de ciclos fundamentales (no dirigido)
+     */
+    async runCycles() {
+        const limit = Math.max(1, parseInt(this.elements.cycleLimit?.value, 10) || 100);
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'cycles';
+        this.currentAlgorithmParams = { limit };
+        this.visualization.clearOverlays();
+
+        this.elements.pathResults.classList.add('hidden');
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.detectCycles({ limit });
+            this.displayCycleResult(result);
+            this.lastAlgorithmResults = result;
+
+            this.saveToHistory(`Ciclos (${result.count})`);
+        } catch (error) {
+            alert(`Error en ciclos: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta Kruskal
+     */
+    async runKruskal() {
+        if (this.graph.isDirected) {
+            await this.redirectToArborescence('Kruskal');
+            return;
+        }
+
+        if (!this.graph.isWeighted) {
+            alert('El algoritmo de Kruskal requiere un grafo ponderado');
+            return;
+        }
+
+        const forest = this.elements.mstForest?.checked ?? false;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'kruskal';
+        this.currentAlgorithmParams = { forest };
+        this.visualization.clearOverlays();
+        
+        this.showLoading(true);
+        
+        try {
+            const result = this.algorithms.kruskal({ forest });
+            this.displayMSTResult(result);
+            this.lastAlgorithmResults = result;
+            
+            // Mostrar MST en canvas separado
+            this.showMSTVisualization(result);
+            
+            this.saveToHistory('Algoritmo de Kruskal');
+        } catch (error) {
+            alert(`Error en Kruskal: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta Prim
+     */
+    async runPrim() {
+        if (this.graph.isDirected) {
+            await this.redirectToArborescence('Prim');
+            return;
+        }
+
+        if (!this.graph.isWeighted) {
+            alert('El algoritmo de Prim requiere un grafo ponderado');
+            return;
+        }
+        
+        const startNode = this.elements.startNode.value;
+        const forest = this.elements.mstForest?.checked ?? false;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'prim';
+        this.currentAlgorithmParams = { startNode: startNode || null, forest };
+        this.visualization.clearOverlays();
+        
+        this.showLoading(true);
+        
+        try {
+            const result = this.algorithms.prim(startNode || null, { forest });
+            this.displayMSTResult(result);
+            this.lastAlgorithmResults = result;
+            
+            // Mostrar MST en canvas separado
+            this.showMSTVisualization(result);
+            
+            this.saveToHistory(`Algoritmo de Prim${startNode ? ` desde ${startNode}` : ''}`);
+        } catch (error) {
+            alert(`Error en Prim: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Ejecuta Borůvka
+     */
+    async runBoruvka() {
+        if (this.graph.isDirected) {
+            await this.redirectToArborescence('Borůvka');
+            return;
+        }
+
+        if (!this.graph.isWeighted) {
+            alert('El algoritmo de Borůvka requiere un grafo ponderado');
+            return;
+        }
+
+        const forest = this.elements.mstForest?.checked ?? false;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'boruvka';
+        this.currentAlgorithmParams = { forest };
+        this.visualization.clearOverlays();
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.boruvka({ forest });
+            this.displayMSTResult(result);
+            this.lastAlgorithmResults = result;
+
+            // Mostrar MST en canvas separado
+            this.showMSTVisualization(result);
+
+            this.saveToHistory('Algoritmo de Borůvka');
+        } catch (error) {
+            alert(`Error en Borůvka: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Avisa de que un algoritmo MST no es válido en un grafo dirigido y ofrece la arborescencia mínima
+     */
+    async redirectToArborescence(algorithmName) {
+        const redirect = confirm(
+            `${algorithmName} ignora la dirección de las aristas y no produce un árbol válido en un grafo dirigido.\n` +
+            '¿Calcular en su lugar la arborescencia mínima (Chu-Liu/Edmonds)?'
+        );
+
+        if (redirect) {
+            await this.runMinArborescence();
+        }
+    }
+
+    /**
+     * Ejecuta Chu-Liu/Edmonds desde el nodo inicial (o desde un nodo que alcance a todos)
+     */
+    async runMinArborescence() {
+        if (!this.graph.isDirected) {
+            alert('La arborescencia mínima requiere un grafo dirigido; use Kruskal o Prim');
+            return;
+        }
+
+        const root = this.elements.startNode.value;
+
+        // Guardar parámetros del algoritmo para recalculación
+        this.currentAlgorithm = 'minArborescence';
+        this.currentAlgorithmParams = { startNode: root || null };
+        this.visualization.clearOverlays();
+
+        this.showLoading(true);
+
+        try {
+            const result = this.algorithms.minArborescence(root || null);
+            this.displayArborescenceResult(result);
+            this.lastAlgorithmResults = result;
+
+            // Mostrar la arborescencia en el canvas separado
+            this.showMSTVisualization(result);
+
+            this.saveToHistory(`Arborescencia mínima${result.root ? ` desde ${result.root}` : ''}`);
+        } catch (error) {
+            alert(`Error en arborescencia mínima: ${error.message}`);
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Anima la ejecución de DFS
+     */
+    async animateDFS(result) {
+        const steps = result.visitOrder.map((nodeId, index) => ({
+            highlightNodes: [nodeId],
+            callback: (i, step) => {
+                // Actualizar información en tiempo real
+            }
+        }));
+        
+        await this.visualization.animateAlgorithm(steps, 800);
+    }
+
+    /**
+     * Anima la ejecución de BFS
+     */
+    async animateBFS(result) {
+        const steps = result.visitOrder.map((nodeId, index) => ({
+            highlightNodes: [nodeId],
+            callback: (i, step) => {
+                // Actualizar información en tiempo real
+            }
+        }));
+        
+        await this.visualization.animateAlgorithm(steps, 800);
+    }
+
+    /**
+     * Anima la ejecución de Dijkstra (nodo fijado y aristas relajadas en cada paso)
+     */
+    async animateDijkstra(result) {
+        const steps = result.steps.map(step => ({
+            highlightNodes: [step.node, ...step.relaxed.map(r => r.node)],
+            highlightEdges: step.relaxed.map(r => r.edge)
+        }));
+
+        await this.visualization.animateAlgorithm(steps, 800);
+    }
+
+    /**
+     * Anima la ejecución de A* (conjunto cerrado creciente en cada expansión)
+     */
+    async animateAStar(result) {
+        const steps = result.steps.map(step => ({
+            highlightNodes: step.closedSet
+        }));
+
+        await this.visualization.animateAlgorithm(steps, 800);
+    }
+
+    /**
+     * Anima el ordenamiento de Kahn (el orden crece nodo a nodo)
+     */
+    async animateTopologicalSort(result) {
+        const steps = result.steps.map((step, index) => ({
+            highlightNodes: result.order.slice(0, index + 1)
+        }));
+
+        await this.visualization.animateAlgorithm(steps, 800);
+    }
+
+    /**
+     * Anima los caminos de aumento del flujo máximo
+     */
+    async animateMaxFlow(result) {
+        const steps = result.augmentingPaths.map(augmentation => ({
+            highlightNodes: augmentation.path,
+            highlightEdges: augmentation.edges
+        }));
+
+        await this.visualization.animateAlgorithm(steps, 1000);
+    }
+
+    /**
+     * Anima un recorrido (euleriano, TSP) arista por arista
+     */
+    async animateTrail(nodes, edges) {
+        const steps = edges.map((edgeId, index) => ({
+            highlightNodes: nodes.slice(0, index + 2),
+            highlightEdges: edges.slice(0, index + 1)
+        }));
+
+        await this.visualization.animateAlgorithm(steps, 700);
+    }
+
+    /**
+     * Numera en el canvas las aristas según su orden en el recorrido euleriano
+     */
+    showEulerianOrder(result) {
+        const labels = {};
+        result.trail.edges.forEach((edgeId, index) => {
+            labels[edgeId] = `${index + 1}`;
+        });
+        this.visualization.setEdgeLabels(labels);
+    }
+
+    /**
+     * Muestra la visualización del MST
+     */
+    showMSTVisualization(result) {
+        // Crear grafo MST
+        const mstGraph = new Graph();
+        mstGraph.setGraphType(this.graph.isDirected, this.graph.isWeighted);
+        
+        // Agregar nodos del grafo original
+        for (const node of this.graph.getNodes()) {
+            mstGraph.addNode(node.id, node.label, node.x, node.y);
+        }
+        
+        // Agregar solo las aristas del MST
+        for (const edge of result.mstEdges) {
+            mstGraph.addEdge(edge.source, edge.target, edge.weight, edge.label, edge.id);
+        }
+        
+        // Mostrar canvas MST
+        this.elements.mstCanvas.classList.remove('hidden');
+        
+        // Crear nueva visualización para MST
+        const mstViz = new GraphVisualization('mstCanvas', 
+            this.visualization.width, this.visualization.height);
+        mstViz.updateGraph(mstGraph);
+        if (result.forest) {
+            mstViz.colorNodeGroups(result.trees.map(tree => tree.nodes));
+            mstViz.colorEdgeGroups(result.trees.map(tree => tree.edges.map(edge => edge.id)));
+        }
+        mstViz.centerView();
+    }
+
+    /**
+     * Muestra/oculta el spinner de carga
+     */
+    showLoading(show) {
+        if (this.elements.loadingSpinner) {
+            if (show) {
+                this.elements.loadingSpinner.classList.remove('hidden');
+            } else {
+                this.elements.loadingSpinner.classList.add('hidden');
+            }
+        }
+    }
+
+    /**
+     * Muestra el resultado de un algoritmo
+     */
+    displayAlgorithmResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+        
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Nodo inicial:</strong> ${result.startNode}</p>`;
+        
+        // Solo mostrar información de búsqueda si hay nodo objetivo
+        if (result.targetNode) {
+            html += `<p><strong>Nodo objetivo:</strong> ${result.targetNode}</p>`;
+            html += `<p><strong>Encontrado:</strong> ${result.found ? 'Sí' : 'No'}</p>`;
+            if (result.found && result.totalCost !== undefined) {
+                html += `<p><strong>Costo total:</strong> ${result.totalCost}</p>`;
+            } else if (result.found && result.distance !== -1) {
+                html += `<p><strong>Distancia:</strong> ${result.distance} saltos</p>`;
+            }
+        } else {
+            // Para recorrido completo
+            html += `<p><strong>Tipo:</strong> Recorrido completo del grafo</p>`;
+            html += `<p><strong>Nodos alcanzados:</strong> ${result.visitOrder.length} de ${result.statistics.totalNodes}</p>`;
+        }
+
+        html += `<p><strong>Orden de visita:</strong> ${result.visitOrder.join(' → ')}</p>`;
+
+        // Distancias ponderadas desde el nodo inicial (Dijkstra)
+        if (result.algorithm === 'Dijkstra') {
+            html += '<h6>Distancias mínimas:</h6><ul>';
+            for (const [nodeId, cost] of Object.entries(result.distances)) {
+                html += `<li>${nodeId}: ${cost}</li>`;
+            }
+            html += '</ul>';
+        }
+        
+        this.elements.algorithmOutput.innerHTML = html;
+        
+        // Solo mostrar panel de ruta si hay nodo objetivo y se encontró una ruta específica
+        if (result.targetNode && result.found && result.path && result.path.length > 0) {
+            this.elements.pathResults.classList.remove('hidden');
+            this.elements.pathOutput.innerHTML = `
+                <p><strong>Ruta encontrada:</strong> ${result.path.join(' → ')}</p>
+                <p><strong>Longitud:</strong> ${result.path.length - 1} aristas</p>
+                ${result.totalCost !== undefined ? `<p><strong>Costo:</strong> ${result.totalCost}</p>` : ''}
+            `;
+        } else {
+            // Ocultar panel de ruta si no hay nodo objetivo o no se encontró
+            this.elements.pathResults.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Agrega al resultado de DFS el bosque, los tiempos, la estructura de paréntesis y la línea
+     * de tiempo, y estiliza las aristas del canvas según su clase
+     */
+    displayDFSClassification(result) {
+        const classification = result.classification;
+        if (!classification) return;
+
+        const { discovery, finish, counts, forest, events } = classification;
+        const classColors = this.visualization.showEdgeClasses(classification.edgeTypes);
+        const classNames = { tree: 'Árbol', back: 'Retroceso', forward: 'Avance', cross: 'Cruce' };
+        const totalTime = events.length;
+
+        let html = '<h6>Clasificación de aristas:</h6><ul class="component-list">';
+        for (const [type, name] of Object.entries(classNames)) {
+            if (!this.graph.isDirected && (type === 'forward' || type === 'cross')) continue;
+            html += `<li><span class="color-swatch" style="background:${classColors[type]}"></span>`;
+            html += `<strong>${name}:</strong> ${counts[type]}</li>`;
+        }
+        html += '</ul>';
+
+        html += `<h6>Bosque DFS (${forest.length} ${forest.length === 1 ? 'árbol' : 'árboles'}):</h6><ul>`;
+        forest.forEach(tree => {
+            html += `<li><strong>${tree.root}:</strong> ${tree.nodes.join(', ')}</li>`;
+        });
+        html += '</ul>';
+
+        const parentheses = events
+            .map(event => event.type === 'discover' ? `(${event.node}` : `${event.node})`)
+            .join(' ');
+        html += '<h6>Estructura de paréntesis:</h6>';
+        html += `<p class="dfs-parentheses">${parentheses}</p>`;
+
+        html += '<h6>Línea de tiempo (descubrimiento / finalización):</h6><div class="dfs-timeline">';
+        forest.forEach((tree, treeIndex) => {
+            const color = this.visualization.getPaletteColor(treeIndex);
+            tree.nodes.forEach(nodeId => {
+                const left = (discovery[nodeId] - 1) / totalTime * 100;
+                const width = (finish[nodeId] - discovery[nodeId] + 1) / totalTime * 100;
+                html += `<div class="dfs-timeline-row"><span class="dfs-timeline-label">${nodeId}</span>`;
+                html += '<div class="dfs-timeline-track">';
+                html += `<div class="dfs-timeline-bar" style="left:${left}%;width:${width}%;background:${color}" `;
+                html += `title="${nodeId}: ${discovery[nodeId]} / ${finish[nodeId]}"></div>`;
+                html += `</div><span class="dfs-timeline-times">${discovery[nodeId]}/${finish[nodeId]}</span></div>`;
+            });
+        });
+        html += '</div>';
+
+        this.elements.algorithmOutput.insertAdjacentHTML('beforeend', html);
+    }
+
+    /**
+     * Agrega al resultado de BFS los niveles y los padres, resalta el árbol de caminos mínimos con la
+     * distancia de cada nodo y, si se pide, dibuja el grafo por niveles
+     */
+    displayBFSTree(result, layered = false) {
+        const { distances, parent, levels, treeEdges } = result;
+
+        this.visualization.markEdges(treeEdges, this.visualization.colors.edgeTree);
+        this.visualization.setNodeBadges(distances);
+
+        const unreached = this.graph.getNodes()
+            .map(node => node.id)
+            .filter(nodeId => distances[nodeId] === undefined);
+
+        if (layered) {
+            this.visualization.applyLayeredLayout(unreached.length > 0 ? [...levels, unreached] : levels);
+        }
+
+        let html = '<h6>Niveles:</h6><ul>';
+        levels.forEach((level, depth) => {
+            html += `<li><strong>Nivel ${depth}:</strong> ${level.join(', ')}</li>`;
+        });
+        if (unreached.length > 0) {
+            html += `<li><strong>${result.targetNode ? 'Sin descubrir' : 'No alcanzables'}:</strong> ${unreached.join(', ')}</li>`;
+        }
+        html += '</ul>';
+
+        html += '<h6>Árbol de caminos mínimos:</h6>';
+        html += '<table class="ranking-table"><thead><tr><th>Nodo</th><th>Distancia</th><th>Padre</th></tr></thead><tbody>';
+        for (const [nodeId, nodeDistance] of Object.entries(distances)) {
+            html += `<tr><td>${nodeId}</td><td>${nodeDistance}</td><td>${parent[nodeId] ?? '-'}</td></tr>`;
+        }
+        html += '</tbody></table>';
+
+        this.elements.algorithmOutput.insertAdjacentHTML('beforeend', html);
+    }
+
+    /**
+     * Agrega al resultado de A* la comparación de nodos expandidos frente a Dijkstra y BFS
+     */
+    displaySearchComparison({ startNode, endNode, heuristic }) {
+        try {
+            const { comparison } = this.algorithms.compareSearches(startNode, endNode, heuristic);
+
+            let html = '<h6>Nodos expandidos:</h6><ul>';
+            html += `<li>A* (${heuristic}): ${comparison.aStarExpanded}</li>`;
+            html += `<li>Dijkstra: ${comparison.dijkstraExpanded}</li>`;
+            html += `<li>BFS: ${comparison.bfsExpanded}</li>`;
+            html += '</ul>';
+
+            this.elements.algorithmOutput.insertAdjacentHTML('beforeend', html);
+        } catch (error) {
+            console.warn('No se pudo realizar la comparación:', error);
+        }
+    }
+
+    /**
+     * Muestra el resultado de Bellman-Ford y resalta el ciclo negativo o la ruta en el canvas
+     */
+    displayBellmanFordResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Nodo inicial:</strong> ${result.startNode}</p>`;
+        html += `<p><strong>Iteraciones:</strong> ${result.statistics.iterations}</p>`;
+        html += `<p><strong>Relajaciones:</strong> ${result.statistics.relaxations}</p>`;
+
+        if (result.hasNegativeCycle) {
+            const cycle = result.negativeCycle;
+            html += '<p><strong>Ciclo negativo detectado:</strong> las distancias no están definidas</p>';
+            html += `<p><strong>Ciclo:</strong> ${cycle.nodes.join(' → ')}</p>`;
+            html += `<p><strong>Costo del ciclo:</strong> ${cycle.cost}</p>`;
+            if (!this.graph.isDirected) {
+                html += '<p><em>En un grafo no dirigido, toda arista negativa forma por sí sola un ciclo negativo.</em></p>';
+            }
+        } else {
+            html += '<h6>Distancias mínimas:</h6><ul>';
+            for (const [nodeId, cost] of Object.entries(result.distances)) {
+                const predecessor = result.predecessors[nodeId];
+                html += `<li>${nodeId}: ${cost}${predecessor ? ` (vía ${predecessor})` : ''}</li>`;
+            }
+            html += '</ul>';
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+
+        if (result.targetNode && result.found) {
+            this.elements.pathResults.classList.remove('hidden');
+            this.elements.pathOutput.innerHTML = `
+                <p><strong>Ruta encontrada:</strong> ${result.path.join(' → ')}</p>
+                <p><strong>Costo:</strong> ${result.totalCost}</p>
+            `;
+        } else {
+            this.elements.pathResults.classList.add('hidden');
+        }
+
+        // Resaltar el ciclo negativo (o la ruta) de forma persistente en el canvas
+        if (result.hasNegativeCycle) {
+            this.visualization.highlightElements(result.negativeCycle.nodes, result.negativeCycle.edges);
+        } else if (result.found && result.path.length > 0) {
+            this.visualization.highlightElements(result.path, result.pathEdges);
+        } else {
+            this.visualization.clearHighlights();
+        }
+    }
+
+    /**
+     * Muestra la matriz de distancias de Floyd-Warshall (cada celda es seleccionable)
+     */
+    displayDistanceMatrix(result) {
+        this.elements.matrixResults.classList.remove('hidden');
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Pares alcanzables:</strong> ${result.statistics.reachablePairs} de ${result.statistics.totalPairs}</p>`;
+
+        if (result.hasNegativeCycle) {
+            html += `<p><strong>Ciclo negativo:</strong> afecta a ${result.negativeCycleNodes.join(', ')}</p>`;
+            html += '<p class="matrix-hint">Los pares marcados con −∞ pueden recorrer el ciclo negativo: su costo no está acotado.</p>';
+        }
+
+        html += '<div class="matrix-wrapper"><table class="distance-matrix"><thead><tr><th></th>';
+        html += result.nodes.map(nodeId => `<th>${nodeId}</th>`).join('');
+        html += '</tr></thead><tbody>';
+
+        for (const sourceId of result.nodes) {
+            html += `<tr><th>${sourceId}</th>`;
+            for (const targetId of result.nodes) {
+                const distance = result.distances[sourceId][targetId];
+                const text = distance === Infinity ? '∞' : distance === -Infinity ? '−∞' : distance;
+                html += `<td data-source="${sourceId}" data-target="${targetId}">${text}</td>`;
+            }
+            html += '</tr>';
+        }
+
+        html += '</tbody></table></div>';
+        html += '<p class="matrix-hint">Haga clic en una celda para resaltar el camino.</p>';
+
+        this.elements.matrixOutput.innerHTML = html;
+    }
+
+    /**
+     * Resalta en el canvas el camino correspondiente a una celda de la matriz de distancias
+     */
+    highlightMatrixPath(sourceId, targetId) {
+        const result = this.lastAlgorithmResults;
+        if (!result || result.algorithm !== 'Floyd-Warshall') return;
+
+        this.elements.matrixOutput.querySelectorAll('td.active').forEach(td => td.classList.remove('active'));
+        this.elements.matrixOutput
+            .querySelector(`td[data-source="${sourceId}"][data-target="${targetId}"]`)
+            ?.classList.add('active');
+
+        const route = this.algorithms.floydWarshallPath(result, sourceId, targetId);
+        this.elements.pathResults.classList.remove('hidden');
+
+        if (!route) {
+            this.visualization.clearHighlights();
+            this.elements.pathOutput.innerHTML = result.distances[sourceId][targetId] === -Infinity
+                ? `<p>El costo de ${sourceId} a ${targetId} no está acotado: el camino puede pasar por un ciclo negativo</p>`
+                : `<p>No existe un camino definido de ${sourceId} a ${targetId}</p>`;
+            return;
+        }
+
+        this.visualization.highlightElements(route.path, route.edges);
+        this.elements.pathOutput.innerHTML = `
+            <p><strong>Ruta encontrada:</strong> ${route.path.join(' → ')}</p>
+            <p><strong>Costo:</strong> ${route.cost}</p>
+        `;
+    }
+
+    /**
+     * Muestra los K caminos más cortos como lista seleccionable y resalta el primero
+     */
+    displayKShortestPaths(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const unit = result.metric === 'weight' ? 'costo' : 'saltos';
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>De ${result.startNode} a ${result.targetNode}:</strong> ${result.paths.length} de ${result.k} caminos solicitados</p>`;
+        html += `<p><strong>Métrica:</strong> ${result.metric === 'weight' ? 'peso' : 'número de saltos'}</p>`;
+        html += `<p><strong>Búsquedas de desvío:</strong> ${result.statistics.spurSearches}</p>`;
+        this.elements.algorithmOutput.innerHTML = html;
+
+        this.elements.pathResults.classList.remove('hidden');
+
+        if (!result.found) {
+            this.visualization.clearHighlights();
+            this.elements.pathOutput.innerHTML = `<p>No existe un camino de ${result.startNode} a ${result.targetNode}</p>`;
+            return;
+        }
+
+        let list = '<ol class="path-list">';
+        result.paths.forEach((path, index) => {
+            list += `<li data-path-index="${index}">${path.nodes.join(' → ')} <em>(${unit}: ${result.metric === 'weight' ? path.cost : path.hops})</em></li>`;
+        });
+        list += '</ol>';
+        list += '<p class="result-hint">Haga clic en un camino para resaltarlo.</p>';
+        this.elements.pathOutput.innerHTML = list;
+
+        this.selectKPath(result, 0);
+    }
+
+    /**
+     * Marca como activo uno de los K caminos y lo resalta en el canvas
+     */
+    selectKPath(result, index) {
+        const path = result.paths[index];
+        if (!path) return;
+
+        this.elements.pathOutput.querySelectorAll('li.active').forEach(li => li.classList.remove('active'));
+        this.elements.pathOutput.querySelector(`li[data-path-index="${index}"]`)?.classList.add('active');
+        this.visualization.highlightElements(path.nodes, path.edges);
+    }
+
+    /**
+     * Calcula y muestra el orden topológico por Kahn y por DFS; si hay un ciclo lo resalta y devuelve null
+     */
+    displayTopologicalSort() {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        let kahn, dfs;
+        try {
+            kahn = this.algorithms.topologicalSort('kahn');
+            dfs = this.algorithms.topologicalSort('dfs');
+        } catch (error) {
+            if (!(error instanceof GraphCycleError)) throw error;
+
+            this.elements.algorithmOutput.innerHTML = `
+                <h5>Ordenamiento topológico</h5>
+                <p><strong>El grafo no es acíclico:</strong> no existe orden topológico</p>
+                <p><strong>Ciclo:</strong> ${error.cycle.join(' → ')}</p>
+            `;
+            this.visualization.highlightElements(error.cycle, this.algorithms.getPathEdges(error.cycle));
+            return null;
+        }
+
+        let html = '<h5>Ordenamiento topológico</h5>';
+        html += `<p><strong>Kahn:</strong> ${kahn.order.join(' → ')}</p>`;
+        html += `<p><strong>DFS:</strong> ${dfs.order.join(' → ')}</p>`;
+        html += '<h6>Niveles (Kahn):</h6><ul>';
+        kahn.levels.forEach((level, index) => {
+            html += `<li>Nivel ${index}: ${level.join(', ')}</li>`;
+        });
+        html += '</ul>';
+
+        this.elements.algorithmOutput.innerHTML = html;
+
+        return { algorithm: 'Ordenamiento topológico', kahn, dfs };
+    }
+
+    /**
+     * Muestra las componentes fuertemente conexas, las colorea en el canvas y lista el DAG de condensación
+     */
+    displaySCCResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const colors = this.visualization.colorNodeGroups(result.components);
+        const kosaraju = this.algorithms.stronglyConnectedComponents('kosaraju');
+        const sameResult = JSON.stringify(kosaraju.components) === JSON.stringify(result.components);
+
+        let html = '<h5>Componentes fuertemente conexas</h5>';
+        if (!this.graph.isDirected) {
+            html += '<p><em>En un grafo no dirigido coinciden con las componentes conexas.</em></p>';
+        }
+        html += `<p><strong>Componentes:</strong> ${result.componentCount}</p>`;
+        html += `<p><strong>Fuertemente conexo:</strong> ${result.isStronglyConnected ? 'Sí' : 'No'}</p>`;
+        html += `<p><strong>Tarjan y Kosaraju:</strong> ${sameResult ? 'coinciden' : 'difieren'}</p>`;
+
+        html += '<ul class="component-list">';
+        result.condensation.nodes.forEach((component, index) => {
+            html += `<li><span class="color-swatch" style="background:${colors[index]}"></span>`;
+            html += `<strong>${component.id}:</strong> ${component.members.join(', ')}</li>`;
+        });
+        html += '</ul>';
+
+        if (this.graph.isDirected) {
+            const { nodes, edges } = result.condensation;
+            html += '<h6>DAG de condensación:</h6>';
+            if (edges.length === 0) {
+                html += '<p>Sin aristas entre componentes</p>';
+            } else {
+                html += '<ul>';
+                for (const edge of edges) {
+                    html += `<li>${nodes[edge.source].id} → ${nodes[edge.target].id} (${edge.edges.length} arista${edge.edges.length > 1 ? 's' : ''})</li>`;
+                }
+                html += '</ul>';
+            }
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Muestra los elementos cuya eliminación desconecta el grafo y colorea los bloques biconexos
+     */
+    displayCriticalElements(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const blocks = result.biconnectedComponents.filter(block => block.edges.length > 0);
+        this.visualization.colorEdgeGroups(blocks.map(block => block.edges));
+        this.visualization.showCriticalElements(
+            result.articulationPoints.map(point => point.node),
+            result.bridges.map(bridge => bridge.id)
+        );
+
+        const separator = this.graph.isDirected ? '→' : '—';
+        let html = '<h5>Elementos críticos</h5>';
+        if (this.graph.isDirected) {
+            html += '<p><em>Se analiza el grafo ignorando la dirección de las aristas.</em></p>';
+        }
+        html += `<p><strong>Componentes actuales:</strong> ${result.componentCount}</p>`;
+        html += `<p><strong>Biconexo:</strong> ${result.isBiconnected ? 'Sí' : 'No'}</p>`;
+
+        html += '<h6>Puntos de articulación:</h6>';
+        if (result.articulationPoints.length === 0) {
+            html += '<p>Ninguno</p>';
+        } else {
+            html += '<ul>';
+            for (const point of result.articulationPoints) {
+                html += `<li>Quitar <strong>${point.node}</strong> deja ${point.componentsAfterRemoval} componentes</li>`;
+            }
+            html += '</ul>';
+        }
+
+        html += '<h6>Puentes:</h6>';
+        if (result.bridges.length === 0) {
+            html += '<p>Ninguno</p>';
+        } else {
+            html += '<ul>';
+            for (const bridge of result.bridges) {
+                html += `<li>Quitar <strong>${bridge.source} ${separator} ${bridge.target}</strong> deja ${bridge.componentsAfterRemoval} componentes</li>`;
+            }
+            html += '</ul>';
+        }
+
+        html += '<h6>Bloques biconexos:</h6><ul class="component-list">';
+        for (const block of blocks) {
+            // Los bloques de una sola arista son puentes y conservan el color de puente
+            const color = this.visualization.edgeColors.get(block.edges[0]);
+            html += `<li><span class="color-swatch" style="background:${color}"></span>${block.nodes.join(', ')}</li>`;
+        }
+        html += '</ul>';
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Muestra el flujo máximo: caminos de aumento, corte mínimo y etiquetas "flujo/capacidad" en el canvas
+     */
+    displayMaxFlowResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const labels = {};
+        const flowEdges = [];
+        for (const [edgeId, edgeFlow] of Object.entries(result.flows)) {
+            labels[edgeId] = `${edgeFlow.flow}/${edgeFlow.capacity}`;
+            if (edgeFlow.flow > 0) {
+                flowEdges.push(edgeId);
+            }
+        }
+
+        const [sourceColor, sinkColor] = this.visualization.colorNodeGroups([result.minCut.sourceSide, result.minCut.sinkSide]);
+        this.visualization.setEdgeLabels(labels);
+        this.visualization.markEdges(flowEdges, this.visualization.colors.edgeFlow);
+        this.visualization.markEdges(result.minCut.edges, this.visualization.colors.edgeCut, true);
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Fuente:</strong> ${result.source} &nbsp; <strong>Sumidero:</strong> ${result.sink}</p>`;
+        html += `<p><strong>Flujo máximo:</strong> ${result.maxFlow}</p>`;
+        if (result.method === 'dinic') {
+            html += `<p><strong>Fases:</strong> ${result.statistics.phases}</p>`;
+        }
+
+        html += '<h6>Caminos de aumento:</h6>';
+        if (result.augmentingPaths.length === 0) {
+            html += '<p>No existe ningún camino de la fuente al sumidero</p>';
+        } else {
+            html += '<ol>';
+            for (const augmentation of result.augmentingPaths) {
+                html += `<li>${augmentation.path.join(' → ')} (+${augmentation.bottleneck})</li>`;
+            }
+            html += '</ol>';
+        }
+
+        const separator = this.graph.isDirected ? '→' : '—';
+        html += '<h6>Corte mínimo:</h6><ul class="component-list">';
+        html += `<li><span class="color-swatch" style="background:${sourceColor}"></span>S = {${result.minCut.sourceSide.join(', ')}}</li>`;
+        html += `<li><span class="color-swatch" style="background:${sinkColor}"></span>T = {${result.minCut.sinkSide.join(', ')}}</li>`;
+        html += '</ul>';
+        html += `<p><strong>Aristas del corte (capacidad ${result.minCut.capacity}):</strong> `;
+        html += result.minCut.edges.map(edgeId => {
+            const edge = this.graph.edges.get(edgeId);
+            return `${edge.source} ${separator} ${edge.target}`;
+        }).join(', ') || 'ninguna';
+        html += '</p>';
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Muestra la bipartición con el emparejamiento máximo, o el ciclo impar que la impide
+     */
+    displayBipartiteResult() {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const bipartite = this.algorithms.isBipartite();
+        let html = '<h5>Grafo bipartito</h5>';
+        if (this.graph.isDirected) {
+            html += '<p><em>Se analiza el grafo ignorando la dirección de las aristas.</em></p>';
+        }
+
+        if (!bipartite.isBipartite) {
+            html += '<p><strong>Bipartito:</strong> No</p>';
+            html += `<p><strong>Ciclo impar:</strong> ${bipartite.oddCycle.nodes.join(' → ')} (${bipartite.oddCycle.edges.length} aristas)</p>`;
+            this.elements.algorithmOutput.innerHTML = html;
+
+            this.visualization.highlightElements(bipartite.oddCycle.nodes, bipartite.oddCycle.edges);
+            return bipartite;
+        }
+
+        this.visualization.clearHighlights();
+        const matching = this.algorithms.maxBipartiteMatching();
+        const [leftColor, rightColor] = this.visualization.colorNodeGroups([matching.left, matching.right]);
+        this.visualization.markEdges(matching.edges, this.visualization.colors.edgeMatching);
+
+        html += '<p><strong>Bipartito:</strong> Sí</p>';
+        html += '<ul class="component-list">';
+        html += `<li><span class="color-swatch" style="background:${leftColor}"></span>${matching.left.join(', ')}</li>`;
+        html += `<li><span class="color-swatch" style="background:${rightColor}"></span>${matching.right.join(', ')}</li>`;
+        html += '</ul>';
+
+        html += `<h6>${matching.algorithm}:</h6>`;
+        html += `<p><strong>Tamaño:</strong> ${matching.size}${matching.isPerfect ? ' (perfecto)' : ''}</p>`;
+        html += '<ul>';
+        for (const pair of matching.matching) {
+            html += `<li>${pair.left} — ${pair.right}</li>`;
+        }
+        html += '</ul>';
+        if (matching.unmatched.length > 0) {
+            html += `<p><strong>Sin emparejar:</strong> ${matching.unmatched.join(', ')}</p>`;
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+        return { ...bipartite, matching };
+    }
+
+    /**
+     * Muestra el recorrido euleriano o los motivos por los que no existe
+     */
+    displayEulerianResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        let html = `<h5>${result.algorithm}</h5>`;
+
+        if (!result.trail) {
+            html += '<p><strong>No existe camino euleriano:</strong></p><ul>';
+            for (const reason of result.reasons) {
+                html += `<li>${reason}</li>`;
+            }
+            html += '</ul>';
+        } else {
+            html += `<p><strong>Tipo:</strong> ${result.hasCircuit ? 'Circuito euleriano' : 'Camino euleriano (no cerrado)'}</p>`;
+            if (!result.hasCircuit) {
+                html += `<p><strong>Extremos:</strong> ${result.startNode} y ${result.endNode}</p>`;
+            }
+            html += `<p><strong>Aristas recorridas:</strong> ${result.trail.edges.length}</p>`;
+            html += `<p><strong>Recorrido:</strong> ${result.trail.nodes.join(' → ')}</p>`;
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Muestra el recorrido TSP o camino hamiltoniano encontrado
+     */
+    displayTSPResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Tipo:</strong> ${result.closed ? 'Ciclo hamiltoniano (TSP)' : 'Camino hamiltoniano'}</p>`;
+
+        if (result.found) {
+            html += `<p><strong>Recorrido:</strong> ${result.tour.join(' → ')}</p>`;
+            html += `<p><strong>Costo:</strong> ${result.cost}</p>`;
+        } else {
+            html += `<p><strong>Sin solución:</strong> no se encontró ningún ${result.closed ? 'ciclo' : 'camino'} que pase una vez por cada nodo usando las aristas del grafo</p>`;
+        }
+        html += `<p><strong>Tiempo:</strong> ${result.runtime} ms</p>`;
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Agrega al resultado TSP la comparación de las heurísticas frente al óptimo
+     */
+    displayTSPComparison({ closed }) {
+        try {
+            const { results, comparison } = this.algorithms.compareTSP({ closed });
+
+            let html = '<h6>Comparación de métodos:</h6>';
+            html += '<table class="ranking-table"><tr><th>Método</th><th>Costo</th><th>Tiempo (ms)</th><th>Desviación</th></tr>';
+            for (const [method, result] of Object.entries(results)) {
+                const gap = comparison[`${method}Gap`];
+                const difference = comparison[`${method}Difference`];
+                let deviation = '-';
+                if (method === 'heldKarp') {
+                    deviation = 'óptimo';
+                } else if (gap !== null) {
+                    deviation = `+${gap}%`;
+                } else if (difference !== null) {
+                    // Óptimo 0: la desviación relativa no está definida
+                    deviation = `+${difference}`;
+                }
+                html += `<tr><td>${result.algorithm.replace('TSP - ', '')}</td>`;
+                html += `<td>${result.found ? result.cost : '-'}</td>`;
+                html += `<td>${result.runtime}</td>`;
+                html += `<td>${deviation}</td></tr>`;
+            }
+            html += '</table>';
+            if (!results.heldKarp) {
+                html += '<p class="result-hint">Held-Karp se omite con más de 15 nodos.</p>';
+            }
+
+            this.elements.algorithmOutput.insertAdjacentHTML('beforeend', html);
+        } catch (error) {
+            console.warn('No se pudo realizar la comparación:', error);
+        }
+    }
+
+    /**
+     * Pinta cada clase de color en el canvas y lista los colores usados por cada estrategia
+     */
+    displayColoringResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const colors = this.visualization.colorNodeGroups(result.classes);
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Colores usados:</strong> ${result.colorCount}${result.isOptimal ? ' (número cromático)' : ''}</p>`;
+        html += '<ul class="component-list">';
+        result.classes.forEach((group, index) => {
+            html += `<li><span class="color-swatch" style="background:${colors[index]}"></span>`;
+            html += `<strong>Color ${index + 1}:</strong> ${group.join(', ')}</li>`;
+        });
+        html += '</ul>';
+
+        // Colores que obtiene cada estrategia sobre el mismo grafo
+        html += '<h6>Comparación de estrategias:</h6><ul>';
+        for (const strategy of ['greedy', 'welshPowell', 'dsatur', 'exact']) {
+            try {
+                const other = strategy === result.strategy ? result : this.algorithms.colorGraph(strategy);
+                html += `<li>${other.strategyName}: ${other.colorCount} colores</li>`;
+            } catch (error) {
+                html += `<li>${strategy}: ${error.message}</li>`;
+            }
+        }
+        html += '</ul>';
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Muestra el ranking de centralidad y escala el radio de los nodos según la puntuación
+     */
+    displayCentralityResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        if (result.ranking.length > 0) {
+            this.visualization.scaleNodeRadii(result.scores);
+        }
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        if (result.statistics.iterations !== undefined) {
+            html += `<p><strong>Iteraciones:</strong> ${result.statistics.iterations}${result.statistics.converged ? '' : ' (sin converger)'}</p>`;
+        }
+
+        html += '<table class="ranking-table"><tr><th>#</th><th>Nodo</th><th>Puntuación</th></tr>';
+        for (const entry of result.ranking) {
+            html += `<tr><td>${entry.rank}</td><td>${entry.node}</td><td>${entry.score}</td></tr>`;
+        }
+        html += '</table>';
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Colorea cada comunidad y, si se pide, agrupa sus nodos en la simulación de fuerzas
+     */
+    displayCommunityResult(result, pull = false) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const colors = this.visualization.colorNodeGroups(result.communities);
+        this.visualization.setCommunityForce(pull ? result.membership : null);
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Comunidades:</strong> ${result.communityCount}</p>`;
+        html += `<p><strong>Modularidad:</strong> ${result.modularity}</p>`;
+        if (result.statistics.levels) {
+            html += `<p><strong>Niveles de agregación:</strong> ${result.statistics.levels.length}</p>`;
+        } else {
+            html += `<p><strong>Iteraciones:</strong> ${result.statistics.iterations}${result.statistics.converged ? '' : ' (sin converger)'}</p>`;
+        }
+
+        html += '<ul class="component-list">';
+        result.communities.forEach((community, index) => {
+            html += `<li><span class="color-swatch" style="background:${colors[index]}"></span>`;
+            html += `<strong>Comunidad ${index + 1}</strong> (${community.length}): ${community.join(', ')}</li>`;
+        });
+        html += '</ul>';
+        html += '<p class="result-hint">Exporta la asignación nodo → comunidad desde CSV (communities).</p>';
+
+        this.elements.algorithmOutput.innerHTML = html;
+    }
+
+    /**
+     * Grupos de nodos seleccionables de un resultado de cliques, conjuntos independientes o coberturas
+     */
+    getCliqueGroups(result) {
+        if (result.cliques) {
+            return result.cliques;
+        }
+        return (result.sets || result.covers || []).map(nodes => ({ nodes, size: nodes.length, edges: [] }));
+    }
+
+    /**
+     * Lista las cliques (o conjuntos) encontrados; al seleccionar uno se resalta su subgrafo inducido
+     */
+    displayCliqueResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        const groups = this.getCliqueGroups(result);
+        let html = `<h5>${result.algorithm}</h5>`;
+
+        if (result.cliques) {
+            html += `<p><strong>Número de clique (ω):</strong> ${result.cliqueNumber}</p>`;
+            html += `<p><strong>Cliques maximales:</strong> ${result.statistics.maximalCliques}`;
+            html += `${result.statistics.truncated ? ` (se muestran ${groups.length})` : ''}</p>`;
+        } else if (result.sets) {
+            html += `<p><strong>Número de independencia (α):</strong> ${result.independenceNumber}</p>`;
+        } else {
+            html += `<p><strong>Tamaño de la cobertura:</strong> ${result.size} (n − α = ${this.graph.nodes.size} − ${result.independenceNumber})</p>`;
+        }
+        html += `<p><strong>Llamadas recursivas:</strong> ${result.statistics.recursiveCalls}</p>`;
+
+        if (groups.length === 0) {
+            html += '<p>No se encontró ningún conjunto con los parámetros indicados.</p>';
+        } else {
+            html += '<ol class="path-list">';
+            groups.forEach((group, index) => {
+                const isMaximum = result.cliques && group.size === result.cliqueNumber;
+                html += `<li data-clique-index="${index}">${isMaximum ? '★ ' : ''}{${group.nodes.join(', ')}} <em>(${group.size})</em></li>`;
+            });
+            html += '</ol>';
+            html += `<p class="result-hint">Haga clic en un conjunto para resaltarlo.${result.cliques ? ' ★ = tamaño máximo.' : ''}</p>`;
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+
+        if (groups.length > 0) {
+            this.selectCliqueGroup(result, 0);
+        }
+    }
+
+    /**
+     * Marca como activo uno de los conjuntos y resalta su subgrafo inducido en el canvas
      */
-    async animateDFS(result) {
-        const steps = result.visitOrder.map((nodeId, index) => ({
-            highlightNodes: [nodeId],
-            callback: (i, step) => {
-                // Actualizar información en tiempo real
-            }
-        }));
-        
-        await this.visualization.animateAlgorithm(steps, 800);
-    }
+    selectCliqueGroup(result, index) {
+        const group = this.getCliqueGroups(result)[index];
+        if (!group) return;
 
-    /**
-     * Anima la ejecución de BFS
-     */
-    async animateBFS(result) {
-        const steps = result.visitOrder.map((nodeId, index) => ({
-            highlightNodes: [nodeId],
-            callback: (i, step) => {
-                // Actualizar información en tiempo real
-            }
-        }));
-        
-        await this.visualization.animateAlgorithm(steps, 800);
+        this.elements.algorithmOutput.querySelectorAll('li.active').forEach(li => li.classList.remove('active'));
+        this.elements.algorithmOutput.querySelector(`li[data-clique-index="${index}"]`)?.classList.add('active');
+        this.visualization.highlightElements(group.nodes, group.edges);
     }
 
     /**
-     * Muestra la visualización del MST
+     * Muestra el veredicto de isomorfismo y la correspondencia de nodos encontrada
      */
-    showMSTVisualization(result) {
-        // Crear grafo MST
-        const mstGraph = new Graph();
-        mstGraph.setGraphType(this.graph.isDirected, this.graph.isWeighted);
-        
-        // Agregar nodos del grafo original
-        for (const node of this.graph.getNodes()) {
-            mstGraph.addNode(node.id, node.label, node.x, node.y);
+    displayIsomorphismResult(result) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        let html = `<h5>Isomorfismo (${result.algorithm})</h5>`;
+        html += `<p><strong>Comparado con:</strong> ${result.source}</p>`;
+        html += `<p><strong>Isomorfos:</strong> ${result.isomorphic ? 'Sí' : 'No'}</p>`;
+        if (result.reason) {
+            html += `<p><strong>Motivo:</strong> ${result.reason}</p>`;
         }
-        
-        // Agregar solo las aristas del MST
-        for (const edge of result.mstEdges) {
-            mstGraph.addEdge(edge.source, edge.target, edge.weight, edge.label);
+        if (result.statistics.precheckPassed) {
+            html += '<p><strong>Secuencia de grados:</strong> coincide</p>';
+            html += `<p><strong>Estados explorados:</strong> ${result.statistics.states}</p>`;
+        }
+        if (result.compareWeights) {
+            html += '<p><strong>Pesos:</strong> deben coincidir en las aristas emparejadas</p>';
+        }
+
+        if (result.isomorphic) {
+            html += '<table class="ranking-table"><thead><tr><th>Nodo actual</th><th>Nodo en el otro grafo</th></tr></thead><tbody>';
+            for (const [nodeId, mappedId] of Object.entries(result.mapping)) {
+                html += `<tr><td>${nodeId}</td><td>${mappedId}</td></tr>`;
+            }
+            html += '</tbody></table>';
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+
+        if (result.isomorphic) {
+            this.visualization.highlightElements(Object.keys(result.mapping), this.graph.getEdges().map(edge => edge.id));
         }
-        
-        // Mostrar canvas MST
-        this.elements.mstCanvas.classList.remove('hidden');
-        
-        // Crear nueva visualización para MST
-        const mstViz = new GraphVisualization('mstCanvas', 
-            this.visualization.width, this.visualization.height);
-        mstViz.updateGraph(mstGraph);
-        mstViz.centerView();
     }
 
     /**
-     * Muestra/oculta el spinner de carga
+     * Muestra el embedding plano (y aplica el dibujo sin cruces) o el subgrafo de Kuratowski
      */
-    showLoading(show) {
-        if (this.elements.loadingSpinner) {
-            if (show) {
-                this.elements.loadingSpinner.classList.remove('hidden');
-            } else {
-                this.elements.loadingSpinner.classList.add('hidden');
+    displayPlanarityResult(result, layout) {
+        this.elements.algorithmResults.classList.remove('hidden');
+
+        let html = `<h5>Planaridad (${result.algorithm})</h5>`;
+        html += `<p><strong>Plano:</strong> ${result.planar ? 'Sí' : 'No'}</p>`;
+        if (this.graph.isDirected) {
+            html += '<p class="result-hint">Se analiza el grafo no dirigido subyacente.</p>';
+        }
+        html += `<p><strong>Pruebas de planaridad:</strong> ${result.statistics.planarityTests}</p>`;
+
+        if (result.planar) {
+            html += `<p><strong>Caras:</strong> ${result.faces.length}</p>`;
+            html += '<table class="ranking-table"><thead><tr><th>Nodo</th><th>Vecinos (sentido horario)</th></tr></thead><tbody>';
+            for (const [nodeId, neighbors] of Object.entries(result.embedding)) {
+                html += `<tr><td>${nodeId}</td><td>${neighbors.join(', ') || '—'}</td></tr>`;
+            }
+            html += '</tbody></table>';
+
+            if (layout) {
+                this.visualization.applyFixedLayout(result.positions);
+                html += '<p class="result-hint">Dibujo sin cruces (baricentros de Tutte); los nodos quedan fijados hasta ejecutar otro algoritmo.</p>';
+            }
+        } else {
+            const kuratowski = result.kuratowski;
+            html += `<p><strong>Subgrafo de Kuratowski:</strong> subdivisión de ${kuratowski.type}</p>`;
+            if (!result.statistics.withinEulerBound) {
+                html += `<p><strong>Cota de Euler:</strong> ${result.statistics.edges} aristas > 3·${result.statistics.nodes} − 6</p>`;
             }
+
+            // Nodos ramificados coloreados (en K3,3 un color por parte); el resto del subgrafo, resaltado
+            const groups = kuratowski.parts || [kuratowski.branchNodes];
+            const colors = this.visualization.colorNodeGroups(groups);
+            html += '<ul class="component-list">';
+            groups.forEach((group, index) => {
+                const label = kuratowski.parts ? `Parte ${index + 1}` : 'Nodos ramificados';
+                html += `<li><span class="color-swatch" style="background:${colors[index]}"></span> ${label}: {${group.join(', ')}}</li>`;
+            });
+            html += '</ul>';
+
+            const subdivision = kuratowski.nodes.filter(nodeId => !kuratowski.branchNodes.includes(nodeId));
+            if (subdivision.length > 0) {
+                html += `<p><strong>Nodos de subdivisión:</strong> ${subdivision.join(', ')}</p>`;
+            }
+
+            this.visualization.highlightElements(subdivision, kuratowski.edges);
         }
+
+        this.elements.algorithmOutput.innerHTML = html;
     }
 
     /**
-     * Muestra el resultado de un algoritmo
+     * Muestra la lista de ciclos; cada uno se resalta al hacer clic
      */
-    displayAlgorithmResult(result) {
+    displayCycleResult(result) {
         this.elements.algorithmResults.classList.remove('hidden');
-        
-        let html = `<h5>${result.algorithm}</h5>`;
-        html += `<p><strong>Nodo inicial:</strong> ${result.startNode}</p>`;
-        
-        // Solo mostrar información de búsqueda si hay nodo objetivo
-        if (result.targetNode) {
-            html += `<p><strong>Nodo objetivo:</strong> ${result.targetNode}</p>`;
-            html += `<p><strong>Encontrado:</strong> ${result.found ? 'Sí' : 'No'}</p>`;
-            if (result.found && result.distance !== -1) {
-                html += `<p><strong>Distancia:</strong> ${result.distance} saltos</p>`;
+
+        let html = `<h5>Ciclos (${result.algorithm})</h5>`;
+        if (result.directed) {
+            html += `<p><strong>Ciclos simples:</strong> ${result.count}</p>`;
+            if (result.truncated) {
+                html += `<p><strong>Límite alcanzado:</strong> se detuvo la búsqueda en ${result.limit} ciclos (puede haber más)</p>`;
             }
         } else {
-            // Para recorrido completo
-            html += `<p><strong>Tipo:</strong> Recorrido completo del grafo</p>`;
-            html += `<p><strong>Nodos alcanzados:</strong> ${result.visitOrder.length} de ${result.statistics.totalNodes}</p>`;
+            html += `<p><strong>Número ciclomático (m − n + c):</strong> ${result.statistics.cyclomaticNumber}</p>`;
+            if (result.truncated) {
+                html += `<p><strong>Límite alcanzado:</strong> se muestran ${result.count} de ${result.statistics.cyclomaticNumber} ciclos de la base</p>`;
+            }
         }
-        
-        html += `<p><strong>Orden de visita:</strong> ${result.visitOrder.join(' → ')}</p>`;
-        
-        this.elements.algorithmOutput.innerHTML = html;
-        
-        // Solo mostrar panel de ruta si hay nodo objetivo y se encontró una ruta específica
-        if (result.targetNode && result.found && result.path && result.path.length > 0) {
-            this.elements.pathResults.classList.remove('hidden');
-            this.elements.pathOutput.innerHTML = `
-                <p><strong>Ruta encontrada:</strong> ${result.path.join(' → ')}</p>
-                <p><strong>Longitud:</strong> ${result.path.length - 1} aristas</p>
-            `;
+
+        if (result.count === 0) {
+            html += `<p>El grafo no tiene ciclos${result.directed ? '' : ' (es un bosque)'}.</p>`;
         } else {
-            // Ocultar panel de ruta si no hay nodo objetivo o no se encontró
-            this.elements.pathResults.classList.add('hidden');
+            html += '<ol class="path-list">';
+            result.cycles.forEach((cycle, index) => {
+                const weight = this.graph.isWeighted ? `, peso ${cycle.weight}` : '';
+                html += `<li data-cycle-index="${index}">${cycle.nodes.join(' → ')} <em>(${cycle.length} aristas${weight})</em></li>`;
+            });
+            html += '</ol>';
+            html += '<p class="result-hint">Haga clic en un ciclo para resaltarlo.</p>';
+        }
+
+        this.elements.algorithmOutput.innerHTML = html;
+
+        if (result.count > 0) {
+            this.selectCycle(result, 0);
         }
     }
 
+    /**
+     * Marca como activo uno de los ciclos y lo resalta en el canvas
+     */
+    selectCycle(result, index) {
+        const cycle = result.cycles[index];
+        if (!cycle) return;
+
+        this.elements.algorithmOutput.querySelectorAll('li.active').forEach(li => li.classList.remove('active'));
+        this.elements.algorithmOutput.querySelector(`li[data-cycle-index="${index}"]`)?.classList.add('active');
+        this.visualization.highlightElements(cycle.nodes, cycle.edges);
+    }
+
     /**
      * Muestra el resultado de un algoritmo MST
      */
     displayMSTResult(result) {
         this.elements.mstResults.classList.remove('hidden');
         
-        let html = `<h5>${result.algorithm}</h5>`;
+        let html = `<h5>${result.algorithm}${result.forest ? ' (bosque de expansión)' : ''}</h5>`;
         html += `<p><strong>Peso total:</strong> ${result.totalWeight}</p>`;
         html += `<p><strong>Aristas en MST:</strong> ${result.mstEdges.length}</p>`;
         
-        html += '<h6>Aristas del MST:</h6><ul>';
-        for (const edge of result.mstEdges) {
-            html += `<li>${edge.source} → ${edge.target} (peso: ${edge.weight})</li>`;
+        if (result.forest) {
+            // Un árbol por componente, con el mismo color que en el canvas
+            const colors = this.visualization.colorNodeGroups(result.trees.map(tree => tree.nodes));
+            this.visualization.colorEdgeGroups(result.trees.map(tree => tree.edges.map(edge => edge.id)));
+
+            html += `<p><strong>Componentes:</strong> ${result.componentCount}</p>`;
+            html += '<ul class="component-list">';
+            result.trees.forEach((tree, index) => {
+                html += `<li><span class="color-swatch" style="background:${colors[index]}"></span>`;
+                html += `<span><strong>Árbol ${tree.component}</strong> (peso: ${tree.totalWeight}): `;
+                html += tree.edges.length > 0
+                    ? tree.edges.map(edge => `${edge.source}-${edge.target} (${edge.weight})`).join(', ')
+                    : `${tree.nodes[0]} aislado`;
+                html += '</span></li>';
+            });
+            html += '</ul>';
+        } else {
+            html += '<h6>Aristas del MST:</h6><ul>';
+            for (const edge of result.mstEdges) {
+                html += `<li>${edge.source} → ${edge.target} (peso: ${edge.weight})</li>`;
+            }
+            html += '</ul>';
+        }
+
+        // Borůvka registra sus pasos por rondas
+        if (result.algorithm === 'Borůvka') {
+            html += '<h6>Rondas:</h6><ol>';
+            for (const round of result.steps) {
+                html += `<li>${round.componentsBefore} → ${round.componentsAfter} componentes: `;
+                html += round.added.map(edge => `${edge.source}-${edge.target} (${edge.weight})`).join(', ');
+                html += '</li>';
+            }
+            html += '</ol>';
         }
-        html += '</ul>';
         
         this.elements.mstOutput.innerHTML = html;
         
         // Mostrar comparación si tenemos resultados de ambos algoritmos
-        this.checkMSTComparison();
+        this.checkMSTComparison(result.forest === true);
+    }
+
+    /**
+     * Muestra la arborescencia mínima con los pasos de selección, contracción y expansión de ciclos
+     */
+    displayArborescenceResult(result) {
+        this.elements.mstResults.classList.remove('hidden');
+        this.elements.mstComparison.classList.add('hidden');
+
+        let html = `<h5>${result.algorithm}</h5>`;
+        html += `<p><strong>Raíz:</strong> ${result.root}</p>`;
+        html += `<p><strong>Peso total:</strong> ${result.totalWeight}</p>`;
+        html += `<p><strong>Ciclos contraídos:</strong> ${result.statistics.contractions}</p>`;
+
+        html += '<h6>Aristas de la arborescencia:</h6><ul>';
+        for (const edge of result.mstEdges) {
+            html += `<li>${edge.source} → ${edge.target} (peso: ${edge.weight})</li>`;
+        }
+        html += '</ul>';
+
+        html += '<h6>Pasos:</h6><ol>';
+        for (const step of result.steps) {
+            html += `<li>${step.description}`;
+            if (step.action === 'select') {
+                html += '<br><small>' + step.choices
+                    .map(choice => `${choice.node} ← ${this.graph.edges.get(choice.edge).source} (${choice.reducedWeight})`)
+                    .join(', ') + '</small>';
+            }
+            html += '</li>';
+        }
+        html += '</ol>';
+
+        this.elements.mstOutput.innerHTML = html;
     }
 
     /**
      * Verifica si se puede mostrar comparación de MST
      */
-    checkMSTComparison() {
-        if (this.graph.isWeighted) {
+    checkMSTComparison(forest = false) {
+        if (this.graph.isWeighted && !this.graph.isDirected) {
             try {
-                const comparison = this.algorithms.compareMST();
+                const comparison = this.algorithms.compareMST(['kruskal', 'prim', 'boruvka'], { forest });
                 this.elements.mstComparison.classList.remove('hidden');
                 
-                let html = '<h6>Comparación Kruskal vs Prim</h6>';
-                html += `<p><strong>Peso Kruskal:</strong> ${comparison.comparison.kruskalWeight}</p>`;
-                html += `<p><strong>Peso Prim:</strong> ${comparison.comparison.primWeight}</p>`;
+                let html = `<h6>${comparison.algorithms.join(' vs ')}</h6>`;
                 html += `<p><strong>Mismo peso:</strong> ${comparison.comparison.sameWeight ? 'Sí' : 'No'}</p>`;
                 html += `<p><strong>MSTs idénticos:</strong> ${comparison.comparison.identical ? 'Sí' : 'No'}</p>`;
+
+                // Conteo de operaciones: muestra las diferencias de complejidad, no solo el peso
+                html += '<table class="ranking-table"><tr><th>Algoritmo</th><th>Peso</th><th>Aristas examinadas</th>';
+                html += '<th>Find</th><th>Union</th><th>Heap</th></tr>';
+                for (const row of comparison.comparison.summary) {
+                    html += `<tr><td>${row.algorithm}</td><td>${row.totalWeight}</td>`;
+                    html += `<td>${row.operations.edgesExamined}</td><td>${row.operations.findCalls}</td>`;
+                    html += `<td>${row.operations.unionCalls}</td><td>${row.operations.heapOperations}</td></tr>`;
+                }
+                html += '</table>';
                 
                 this.elements.comparisonOutput.innerHTML = html;
             } catch (error) {
@@ -628,12 +2523,28 @@ class GraphApp {
      * Actualiza la interfaz de usuario
      */
     updateUI() {
+        this.updateGraphTypeControls();
         this.updateNodeSelectors();
         this.updateStatistics();
         this.algorithms = new GraphAlgorithms(this.graph);
         this.exporter = new GraphExporter(this.graph, this.visualization);
     }
 
+    /**
+     * Sincroniza las casillas de tipo de grafo con el grafo actual
+     */
+    updateGraphTypeControls() {
+        if (this.elements.isDirected) {
+            this.elements.isDirected.checked = this.graph.isDirected;
+        }
+        if (this.elements.isWeighted) {
+            this.elements.isWeighted.checked = this.graph.isWeighted;
+        }
+        if (this.elements.isAcyclic) {
+            this.elements.isAcyclic.checked = this.graph.isAcyclic;
+        }
+    }
+
     /**
      * Actualiza los selectores de nodos
      */
@@ -682,6 +2593,68 @@ class GraphApp {
         if (this.elements.graphDensity) {
             this.elements.graphDensity.textContent = `${stats.density}%`;
         }
+        if (this.elements.graphConnectivity) {
+            let connectivity = stats.isConnected ? 'Conexo' : 'No conexo';
+            if (this.graph.isDirected && stats.isConnected) {
+                connectivity = stats.isStronglyConnected ? 'Fuertemente conexo' : 'Débilmente conexo';
+            }
+            this.elements.graphConnectivity.textContent = connectivity;
+        }
+
+        this.scheduleStructuralMetrics();
+    }
+
+    /**
+     * Programa el cálculo de las métricas estructurales: solo con su panel abierto y agrupando
+     * ediciones seguidas, ya que Floyd-Warshall es O(n³) y el grafo cambia en cada edición
+     */
+    scheduleStructuralMetrics() {
+        clearTimeout(this.structuralMetricsTimer);
+        if (!this.elements.structuralDetails?.open) return;
+
+        this.structuralMetricsTimer = setTimeout(() => this.updateStructuralMetrics(), 300);
+    }
+
+    /**
+     * Muestra radio, diámetro, centro, periferia, cintura y excentricidades en el panel de estadísticas
+     */
+    updateStructuralMetrics() {
+        const metrics = this.algorithms.structuralMetrics();
+        const format = value => value === Infinity ? '∞' : `${Math.round(value * 100) / 100}`;
+        const setText = (element, text) => {
+            if (element) element.textContent = text;
+        };
+
+        if (!metrics.available || this.graph.nodes.size === 0) {
+            const text = metrics.available ? '-' : 'No definido';
+            ['graphRadius', 'graphDiameter', 'graphCenter', 'graphPeriphery', 'graphGirth']
+                .forEach(name => setText(this.elements[name], text));
+            if (this.elements.eccentricityOutput) {
+                this.elements.eccentricityOutput.innerHTML = metrics.reason ? `<p class="result-hint">${metrics.reason}</p>` : '';
+            }
+            return;
+        }
+
+        const { source, target } = metrics.diameterEndpoints;
+        setText(this.elements.graphRadius, format(metrics.radius));
+        setText(this.elements.graphDiameter, `${format(metrics.diameter)} (${source} → ${target})`);
+        // Si ningún nodo alcanza a todos, centro y periferia incluirían a todos los nodos
+        const reachesAll = metrics.radius !== Infinity;
+        setText(this.elements.graphCenter, reachesAll ? metrics.center.join(', ') : '-');
+        setText(this.elements.graphPeriphery, reachesAll ? metrics.periphery.join(', ') : '-');
+        setText(this.elements.graphGirth, metrics.girthCycle
+            ? `${format(metrics.girth)} (${metrics.girthCycle.nodes.join(' → ')})`
+            : '∞ (sin ciclos)');
+
+        if (this.elements.eccentricityOutput) {
+            let html = '<table class="ranking-table"><thead><tr><th>Nodo</th><th>Excentricidad</th></tr></thead><tbody>';
+            for (const [nodeId, value] of Object.entries(metrics.eccentricity)) {
+                html += `<tr><td>${nodeId}</td><td>${format(value)}</td></tr>`;
+            }
+            html += '</tbody></table>';
+            html += `<p class="result-hint">Distancias ${metrics.metric === 'weight' ? 'por peso' : 'en saltos'}${this.graph.isDirected ? '; en grafos dirigidos, excentricidad de salida' : ''}.</p>`;
+            this.elements.eccentricityOutput.innerHTML = html;
+        }
     }
 
     /**
@@ -741,10 +2714,18 @@ class GraphApp {
                 reader.onload = (e) => {
                     try {
                         const data = JSON.parse(e.target.result);
-                        this.graph.fromJSON(data.graph || data);
+                        const cycle = this.graph.fromJSON(data.graph || data);
                         this.updateVisualization();
                         this.updateUI();
                         this.saveToHistory('Grafo cargado desde archivo');
+
+                        if (cycle) {
+                            this.visualization.showNotification(
+                                `Modo DAG desactivado: el archivo contiene el ciclo ${cycle.join(' → ')}`,
+                                'error'
+                            );
+                            this.visualization.highlightElements(cycle, this.algorithms.getPathEdges(cycle));
+                        }
                     } catch (error) {
                         alert(`Error al cargar archivo: ${error.message}`);
                     }
@@ -776,12 +2757,14 @@ class GraphApp {
                 'Seleccione el tipo de CSV:\n' +
                 '1. Lista de aristas (edges)\n' +
                 '2. Lista de nodos (nodes)\n' +
-                '3. Matriz de adyacencia (adjacency)',
+                '3. Matriz de adyacencia (adjacency)\n' +
+                '4. Matriz de distancias (distances)\n' +
+                '5. Comunidades nodo → comunidad (communities)',
                 'edges'
             );
             
             if (type) {
-                this.exporter.exportToCSV(type);
+                this.exporter.exportToCSV(type, this.lastAlgorithmResults);
             }
         } catch (error) {
             alert(`Error al exportar CSV: ${error.message}`);
@@ -836,6 +2819,9 @@ class GraphApp {
                     <h4>${state.description}</h4>
                     <p>${this.history.formatDate(state.timestamp)}</p>
                     <p>${state.graph.nodes.length} nodos, ${state.graph.edges.length} aristas</p>
+                    <button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); app.compareWithHistoryState('${state.id}')">
+                        <i class="fas fa-clone"></i> Comparar
+                    </button>
                 </div>
             `;
         }
@@ -893,11 +2879,13 @@ class GraphApp {
     clearResults() {
         this.elements.algorithmResults.classList.add('hidden');
         this.elements.pathResults.classList.add('hidden');
+        this.elements.matrixResults.classList.add('hidden');
         this.elements.mstResults.classList.add('hidden');
         this.elements.mstComparison.classList.add('hidden');
         this.elements.mstCanvas.classList.add('hidden');
         
         this.visualization.clearHighlights();
+        this.visualization.clearOverlays();
         this.lastAlgorithmResults = null;
     }
 
@@ -932,7 +2920,7 @@ class GraphApp {
 
         try {
             // Verificar si los nodos necesarios aún existen
-            if (this.currentAlgorithm === 'dfs' || this.currentAlgorithm === 'bfs') {
+            if (['dfs', 'bfs', 'dijkstra', 'aStar', 'kShortestPaths', 'bellmanFord', 'maxFlow'].includes(this.currentAlgorithm)) {
                 const { startNode, endNode } = this.currentAlgorithmParams;
                 
                 // Verificar que el nodo inicial existe
@@ -951,7 +2939,7 @@ class GraphApp {
                 // Actualizar los campos de entrada
                 this.elements.startNode.value = startNode;
                 this.elements.endNode.value = this.currentAlgorithmParams.endNode || '';
-            } else if (this.currentAlgorithm === 'prim') {
+            } else if (this.currentAlgorithm === 'prim' || this.currentAlgorithm === 'minArborescence') {
                 const { startNode } = this.currentAlgorithmParams;
                 
                 // Si se especificó un nodo inicial, verificar que existe
@@ -967,48 +2955,249 @@ class GraphApp {
             
             switch (this.currentAlgorithm) {
                 case 'dfs':
+                    this.visualization.clearOverlays();
                     const dfsResult = this.algorithms.dfs(
                         this.currentAlgorithmParams.startNode, 
-                        this.currentAlgorithmParams.endNode
+                        this.currentAlgorithmParams.endNode,
+                        { classify: this.currentAlgorithmParams.classify }
                     );
                     this.displayAlgorithmResult(dfsResult);
+                    this.displayDFSClassification(dfsResult);
                     this.lastAlgorithmResults = dfsResult;
                     await this.animateDFS(dfsResult);
                     break;
                     
                 case 'bfs':
+                    this.visualization.clearOverlays();
                     const bfsResult = this.algorithms.bfs(
                         this.currentAlgorithmParams.startNode, 
                         this.currentAlgorithmParams.endNode
                     );
                     this.displayAlgorithmResult(bfsResult);
+                    this.displayBFSTree(bfsResult, this.currentAlgorithmParams.layered);
                     this.lastAlgorithmResults = bfsResult;
                     await this.animateBFS(bfsResult);
                     break;
+
+                case 'dijkstra':
+                    const dijkstraResult = this.algorithms.dijkstra(
+                        this.currentAlgorithmParams.startNode, 
+                        this.currentAlgorithmParams.endNode
+                    );
+                    this.displayAlgorithmResult(dijkstraResult);
+                    this.lastAlgorithmResults = dijkstraResult;
+                    await this.animateDijkstra(dijkstraResult);
+                    break;
+
+                case 'aStar':
+                    if (!this.currentAlgorithmParams.endNode) {
+                        console.log('❌ A* requiere un nodo destino. Cancelando recalculación.');
+                        this.clearAlgorithmState();
+                        break;
+                    }
+                    this.visualization.syncPositions();
+                    const aStarResult = this.algorithms.aStar(
+                        this.currentAlgorithmParams.startNode,
+                        this.currentAlgorithmParams.endNode,
+                        this.currentAlgorithmParams.heuristic
+                    );
+                    this.displayAlgorithmResult(aStarResult);
+                    this.displaySearchComparison(this.currentAlgorithmParams);
+                    this.lastAlgorithmResults = aStarResult;
+                    await this.animateAStar(aStarResult);
+                    break;
+
+                case 'kShortestPaths':
+                    if (!this.currentAlgorithmParams.endNode) {
+                        console.log('❌ Los K caminos más cortos requieren un nodo destino. Cancelando recalculación.');
+                        this.clearAlgorithmState();
+                        break;
+                    }
+                    const kPathsResult = this.algorithms.kShortestPaths(
+                        this.currentAlgorithmParams.startNode,
+                        this.currentAlgorithmParams.endNode,
+                        this.currentAlgorithmParams.k,
+                        this.currentAlgorithmParams.metric
+                    );
+                    this.displayKShortestPaths(kPathsResult);
+                    this.lastAlgorithmResults = kPathsResult;
+                    break;
+
+                case 'bellmanFord':
+                    const bellmanFordResult = this.algorithms.bellmanFord(
+                        this.currentAlgorithmParams.startNode, 
+                        this.currentAlgorithmParams.endNode
+                    );
+                    this.displayBellmanFordResult(bellmanFordResult);
+                    this.lastAlgorithmResults = bellmanFordResult;
+                    break;
+
+                case 'floydWarshall':
+                    const floydWarshallResult = this.algorithms.floydWarshall();
+                    this.displayDistanceMatrix(floydWarshallResult);
+                    this.lastAlgorithmResults = floydWarshallResult;
+                    break;
+
+                case 'scc':
+                    const sccResult = this.algorithms.stronglyConnectedComponents('tarjan');
+                    this.displaySCCResult(sccResult);
+                    this.lastAlgorithmResults = sccResult;
+                    break;
+
+                case 'maxFlow':
+                    if (!this.currentAlgorithmParams.endNode) {
+                        console.log('❌ El sumidero ya no existe. Cancelando flujo máximo.');
+                        this.clearAlgorithmState();
+                        break;
+                    }
+                    this.visualization.clearOverlays();
+                    const maxFlowResult = this.algorithms.maxFlow(
+                        this.currentAlgorithmParams.startNode,
+                        this.currentAlgorithmParams.endNode,
+                        this.currentAlgorithmParams.method
+                    );
+                    this.displayMaxFlowResult(maxFlowResult);
+                    this.lastAlgorithmResults = maxFlowResult;
+                    break;
+
+                case 'bipartiteMatching':
+                    this.visualization.clearOverlays();
+                    this.lastAlgorithmResults = this.displayBipartiteResult();
+                    break;
+
+                case 'eulerian':
+                    this.visualization.clearOverlays();
+                    const eulerianResult = this.algorithms.eulerian();
+                    this.displayEulerianResult(eulerianResult);
+                    if (eulerianResult.trail) {
+                        this.showEulerianOrder(eulerianResult);
+                    }
+                    this.lastAlgorithmResults = eulerianResult;
+                    break;
+
+                case 'tsp':
+                    this.visualization.clearOverlays();
+                    const tspResult = this.algorithms.tsp(
+                        this.currentAlgorithmParams.method,
+                        { closed: this.currentAlgorithmParams.closed }
+                    );
+                    this.displayTSPResult(tspResult);
+                    this.displayTSPComparison(this.currentAlgorithmParams);
+                    if (tspResult.found) {
+                        this.visualization.markEdges(tspResult.tourEdges, this.visualization.colors.edgeTour);
+                    }
+                    this.lastAlgorithmResults = tspResult;
+                    break;
+
+                case 'coloring':
+                    const coloringResult = this.algorithms.colorGraph(this.currentAlgorithmParams.strategy);
+                    this.displayColoringResult(coloringResult);
+                    this.lastAlgorithmResults = coloringResult;
+                    break;
+
+                case 'centrality':
+                    const centralityResult = this.algorithms.centrality(this.currentAlgorithmParams.metric);
+                    this.displayCentralityResult(centralityResult);
+                    this.lastAlgorithmResults = centralityResult;
+                    break;
+
+                case 'communities':
+                    const communityResult = this.algorithms.detectCommunities(this.currentAlgorithmParams.method);
+                    this.displayCommunityResult(communityResult, this.currentAlgorithmParams.pull);
+                    this.lastAlgorithmResults = communityResult;
+                    break;
+
+                case 'cliques':
+                    const cliqueResult = this.computeCliqueSearch(this.currentAlgorithmParams);
+                    this.displayCliqueResult(cliqueResult);
+                    this.lastAlgorithmResults = cliqueResult;
+                    break;
+
+                case 'isomorphism':
+                    const isomorphismResult = this.computeIsomorphism(this.currentAlgorithmParams);
+                    this.displayIsomorphismResult(isomorphismResult);
+                    this.lastAlgorithmResults = isomorphismResult;
+                    break;
+
+                case 'planarity':
+                    this.visualization.clearOverlays();
+                    const planarityResult = this.algorithms.planarity();
+                    this.displayPlanarityResult(planarityResult, this.currentAlgorithmParams.layout);
+                    this.lastAlgorithmResults = planarityResult;
+                    break;
+
+                case 'cycles':
+                    const cycleResult = this.algorithms.detectCycles(this.currentAlgorithmParams);
+                    this.displayCycleResult(cycleResult);
+                    this.lastAlgorithmResults = cycleResult;
+                    break;
+
+                case 'criticalElements':
+                    this.visualization.clearOverlays();
+                    const criticalResult = this.algorithms.criticalElements();
+                    this.displayCriticalElements(criticalResult);
+                    this.lastAlgorithmResults = criticalResult;
+                    break;
+
+                case 'topologicalSort':
+                    if (!this.graph.isDirected) {
+                        console.log('❌ El grafo ya no es dirigido. Cancelando ordenamiento topológico.');
+                        this.clearAlgorithmState();
+                        break;
+                    }
+                    this.lastAlgorithmResults = this.displayTopologicalSort();
+                    break;
                     
                 case 'kruskal':
-                    if (!this.graph.isWeighted) {
-                        console.log('❌ El grafo ya no es ponderado. Cancelando Kruskal.');
+                    if (!this.graph.isWeighted || this.graph.isDirected) {
+                        console.log('❌ El grafo ya no es ponderado y no dirigido. Cancelando Kruskal.');
                         this.clearAlgorithmState();
                         break;
                     }
-                    const kruskalResult = this.algorithms.kruskal();
+                    const kruskalResult = this.algorithms.kruskal({ forest: this.currentAlgorithmParams.forest });
                     this.displayMSTResult(kruskalResult);
                     this.lastAlgorithmResults = kruskalResult;
                     this.showMSTVisualization(kruskalResult);
                     break;
                     
                 case 'prim':
-                    if (!this.graph.isWeighted) {
-                        console.log('❌ El grafo ya no es ponderado. Cancelando Prim.');
+                    if (!this.graph.isWeighted || this.graph.isDirected) {
+                        console.log('❌ El grafo ya no es ponderado y no dirigido. Cancelando Prim.');
                         this.clearAlgorithmState();
                         break;
                     }
-                    const primResult = this.algorithms.prim(this.currentAlgorithmParams.startNode);
+                    const primResult = this.algorithms.prim(
+                        this.currentAlgorithmParams.startNode,
+                        { forest: this.currentAlgorithmParams.forest }
+                    );
                     this.displayMSTResult(primResult);
                     this.lastAlgorithmResults = primResult;
                     this.showMSTVisualization(primResult);
                     break;
+
+                case 'boruvka':
+                    if (!this.graph.isWeighted || this.graph.isDirected) {
+                        console.log('❌ El grafo ya no es ponderado y no dirigido. Cancelando Borůvka.');
+                        this.clearAlgorithmState();
+                        break;
+                    }
+                    const boruvkaResult = this.algorithms.boruvka({ forest: this.currentAlgorithmParams.forest });
+                    this.displayMSTResult(boruvkaResult);
+                    this.lastAlgorithmResults = boruvkaResult;
+                    this.showMSTVisualization(boruvkaResult);
+                    break;
+
+                case 'minArborescence':
+                    if (!this.graph.isDirected) {
+                        console.log('❌ El grafo ya no es dirigido. Cancelando arborescencia mínima.');
+                        this.clearAlgorithmState();
+                        break;
+                    }
+                    const arborescenceResult = this.algorithms.minArborescence(this.currentAlgorithmParams.startNode);
+                    this.displayArborescenceResult(arborescenceResult);
+                    this.lastAlgorithmResults = arborescenceResult;
+                    this.showMSTVisualization(arborescenceResult);
+                    break;
             }
             
             console.log(`✅ Algoritmo ${this.currentAlgorithm} recalculado exitosamente`);
@@ -1031,10 +3220,12 @@ class GraphApp {
         
         // Limpiar visualización
         this.visualization.clearHighlights();
+        this.visualization.clearOverlays();
         
         // Ocultar paneles de resultados
         this.elements.algorithmResults.classList.add('hidden');
         this.elements.pathResults.classList.add('hidden');
+        this.elements.matrixResults.classList.add('hidden');
         this.elements.mstResults.classList.add('hidden');
         this.elements.mstComparison.classList.add('hidden');
     }
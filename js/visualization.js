@@ -23,10 +23,17 @@ class GraphVisualization {
         this.currentTool = 'select';
         this.isAnimating = false;
         this.highlightedElements = new Set();
+        this.nodeColors = new Map(); // Color de grupo por nodo (componentes, coloreado, etc.)
+        this.edgeColors = new Map(); // Color de grupo por arista (bloques, puentes, etc.)
+        this.dashedEdges = new Set(); // Aristas con trazo discontinuo (puentes, corte mínimo)
+        this.edgeLabels = new Map(); // Etiquetas de resultado por arista (p. ej. "flujo/capacidad")
+        this.nodeBadges = new Map(); // Insignias de resultado por nodo (p. ej. distancia BFS)
+        this.fixedLayout = false; // Nodos fijados por un dibujo calculado (p. ej. el dibujo plano)
         this.tempEdgeSource = null;
         
         // Configuración visual
         this.nodeRadius = 25;
+        this.nodeRadii = new Map(); // Radio por nodo (p. ej. escalado por centralidad)
         this.colors = {
             node: '#3b82f6',
             nodeSelected: '#f59e0b',
@@ -34,7 +41,20 @@ class GraphVisualization {
             edge: '#6b7280',
             edgeSelected: '#3b82f6',
             edgeHighlighted: '#ef4444',
-            edgeMST: '#10b981'
+            edgeMST: '#10b981',
+            nodeArticulation: '#b91c1c',
+            edgeBridge: '#dc2626',
+            edgeFlow: '#0ea5e9',
+            edgeCut: '#dc2626',
+            edgeMatching: '#f97316',
+            edgeTour: '#8b5cf6',
+            // Clases de aristas DFS
+            edgeTree: '#10b981',
+            edgeBack: '#dc2626',
+            edgeForward: '#0ea5e9',
+            edgeCross: '#a855f7',
+            // Paleta para colorear grupos de nodos
+            palette: ['#8b5cf6', '#10b981', '#f97316', '#0ea5e9', '#ec4899', '#84cc16', '#6366f1', '#14b8a6', '#a16207', '#64748b']
         };
         
         this.initVisualization();
@@ -116,7 +136,7 @@ class GraphVisualization {
             .force('link', d3.forceLink().id(d => d.id).distance(100).strength(0.5))
             .force('charge', d3.forceManyBody().strength(-300).distanceMax(400))
             .force('center', d3.forceCenter(this.width / 2, this.height / 2))
-            .force('collision', d3.forceCollide().radius(this.nodeRadius + 10).strength(0.8))
+            .force('collision', d3.forceCollide().radius(d => this.getNodeRadius(d) + 10).strength(0.8))
             .alphaDecay(0.01); // Hacer que la simulación se estabilice más lentamente
     }
 
@@ -247,6 +267,9 @@ class GraphVisualization {
             source: edge.source,
             target: edge.target
         }));
+
+        // Los nodos nuevos no heredan las posiciones fijadas
+        this.fixedLayout = false;
     }
 
     /**
@@ -283,20 +306,42 @@ class GraphVisualization {
             .style('pointer-events', 'none')
             .text(d => d.label);
 
+        // Insignia de resultado en la esquina superior derecha del nodo
+        const badgeGroup = nodeEnter.append('g')
+            .attr('class', 'node-badge')
+            .style('display', 'none')
+            .style('pointer-events', 'none');
+
+        badgeGroup.append('rect')
+            .attr('class', 'node-badge-bg')
+            .attr('height', 16)
+            .attr('y', -8)
+            .style('fill', '#111827')
+            .style('stroke', '#fff')
+            .style('stroke-width', 1)
+            .style('rx', 8)
+            .style('ry', 8);
+
+        badgeGroup.append('text')
+            .attr('class', 'node-badge-text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .style('font-size', '10px')
+            .style('font-weight', '600')
+            .style('fill', 'white');
+
         // Actualizar nodos existentes
         const nodeMerge = nodeEnter.merge(nodeUpdate);
         
         nodeMerge.select('circle')
-            .style('fill', d => {
-                if (this.selectedNodes.has(d.id)) return this.colors.nodeSelected;
-                if (this.highlightedElements.has(d.id)) return this.colors.nodeHighlighted;
-                return this.colors.node;
-            });
+            .attr('r', d => this.getNodeRadius(d))
+            .style('fill', d => this.getNodeFill(d));
 
         nodeMerge.select('text')
             .text(d => d.label);
 
         this.nodeElements = nodeMerge;
+        this.updateNodeBadges();
     }
 
     /**
@@ -344,17 +389,15 @@ class GraphVisualization {
             .style('font-weight', '600')
             .style('fill', '#333')
             .style('pointer-events', 'none')
-            .text(d => this.graph.isWeighted ? (d.label || d.weight) : '');
+            .text(d => this.getEdgeLabelText(d));
 
         // Actualizar aristas existentes
         const linkMerge = linkEnter.merge(linkUpdate);
         
         linkMerge.select('line')
-            .style('stroke', d => {
-                if (this.selectedEdges.has(d.id)) return this.colors.edgeSelected;
-                if (this.highlightedElements.has(d.id)) return this.colors.edgeHighlighted;
-                return this.colors.edge;
-            })
+            .style('stroke', d => this.getEdgeStroke(d))
+            .style('stroke-width', d => this.getEdgeWidth(d))
+            .style('stroke-dasharray', d => this.getEdgeDash(d))
             .style('marker-end', d => {
                 if (!this.graph.isDirected) return 'none';
                 if (this.selectedEdges.has(d.id)) return 'url(#arrowhead-selected)';
@@ -362,29 +405,85 @@ class GraphVisualization {
                 return 'url(#arrowhead)';
             });
 
-        // Actualizar visibilidad y contenido de las etiquetas
-        linkMerge.select('.edge-label-group')
-            .style('display', this.graph.isWeighted ? 'block' : 'none');
+        this.linkElements = linkMerge;
+        this.updateEdgeLabels();
+    }
+
+    /**
+     * Texto de la etiqueta de una arista: etiqueta de resultado (p. ej. flujo) o peso
+     */
+    getEdgeLabelText(d) {
+        if (this.edgeLabels.has(d.id)) return this.edgeLabels.get(d.id);
+        return this.graph.isWeighted ? (d.label || d.weight) : '';
+    }
+
+    /**
+     * Actualiza visibilidad, contenido y fondo de las etiquetas de las aristas
+     */
+    updateEdgeLabels() {
+        if (!this.linkElements) return;
+
+        const isVisible = d => this.graph.isWeighted || this.edgeLabels.has(d.id);
+
+        this.linkElements.select('.edge-label-group')
+            .style('display', d => isVisible(d) ? 'block' : 'none');
 
-        linkMerge.select('.edge-label')
-            .text(d => this.graph.isWeighted ? (d.label || d.weight) : '');
+        this.linkElements.select('.edge-label')
+            .text(d => this.getEdgeLabelText(d));
 
-        // Actualizar el tamaño del fondo de las etiquetas existentes
-        linkMerge.select('.edge-label-bg')
+        // Ajustar el fondo al largo del texto
+        this.linkElements.select('.edge-label-bg')
             .attr('width', d => {
-                if (!this.graph.isWeighted) return 0;
-                const text = (d.label || d.weight || '').toString();
+                if (!isVisible(d)) return 0;
+                const text = (this.getEdgeLabelText(d) || '').toString();
                 return Math.max(20, text.length * 8 + 8);
             })
-            .attr('height', this.graph.isWeighted ? 18 : 0)
+            .attr('height', d => isVisible(d) ? 18 : 0)
             .attr('x', d => {
-                if (!this.graph.isWeighted) return 0;
-                const text = (d.label || d.weight || '').toString();
+                if (!isVisible(d)) return 0;
+                const text = (this.getEdgeLabelText(d) || '').toString();
                 return -Math.max(10, text.length * 4 + 4);
             })
-            .attr('y', this.graph.isWeighted ? -9 : 0);
+            .attr('y', d => isVisible(d) ? -9 : 0);
+    }
 
-        this.linkElements = linkMerge;
+    /**
+     * Reemplaza las etiquetas de las aristas indicadas (edgeId → texto)
+     */
+    setEdgeLabels(labels) {
+        this.edgeLabels = new Map(Object.entries(labels));
+        this.updateEdgeLabels();
+    }
+
+    /**
+     * Actualiza visibilidad, texto y posición de las insignias de los nodos
+     */
+    updateNodeBadges() {
+        if (!this.nodeElements) return;
+
+        const badgeWidth = d => Math.max(16, String(this.nodeBadges.get(d.id) ?? '').length * 7 + 8);
+
+        const badges = this.nodeElements.select('.node-badge')
+            .style('display', d => this.nodeBadges.has(d.id) ? 'block' : 'none')
+            .attr('transform', d => {
+                const offset = this.getNodeRadius(d) * 0.75;
+                return `translate(${offset}, ${-offset})`;
+            });
+
+        badges.select('.node-badge-text')
+            .text(d => this.nodeBadges.get(d.id) ?? '');
+
+        badges.select('.node-badge-bg')
+            .attr('width', badgeWidth)
+            .attr('x', d => -badgeWidth(d) / 2);
+    }
+
+    /**
+     * Reemplaza las insignias de los nodos indicados (nodeId → texto)
+     */
+    setNodeBadges(badges) {
+        this.nodeBadges = new Map(Object.entries(badges));
+        this.updateNodeBadges();
     }
 
     /**
@@ -464,15 +563,15 @@ class GraphVisualization {
                     
                     // Solo pedir peso si el grafo está configurado como ponderado
                     if (this.graph.isWeighted) {
-                        const weightInput = prompt('Ingrese el peso de la arista (número entero):', '1');
+                        const weightInput = prompt('Ingrese el peso de la arista (número entero, puede ser negativo):', '1');
                         if (weightInput === null) {
                             // Usuario canceló
                             this.resetEdgeCreation();
                             return;
                         }
                         const parsedWeight = parseInt(weightInput);
-                        if (isNaN(parsedWeight) || parsedWeight < 1 || !Number.isInteger(parsedWeight)) {
-                            this.showNotification('Por favor ingrese un peso válido (número entero positivo)', 'error');
+                        if (isNaN(parsedWeight) || !Number.isInteger(parsedWeight)) {
+                            this.showNotification('Por favor ingrese un peso válido (número entero)', 'error');
                             this.resetEdgeCreation();
                             return;
                         }
@@ -610,9 +709,13 @@ class GraphVisualization {
         const modal = document.getElementById('edgeModal');
         const edgeWeightInput = document.getElementById('edgeWeight');
         const edgeLabelInput = document.getElementById('edgeLabel');
+        const edgeCapacityInput = document.getElementById('edgeCapacity');
         
         if (modal && edgeWeightInput && edgeLabelInput) {
             edgeWeightInput.value = edge.weight || 1;
+            if (edgeCapacityInput) {
+                edgeCapacityInput.value = edge.capacity ?? '';
+            }
             edgeLabelInput.value = edge.label || (this.graph.isWeighted ? (edge.weight || 1).toString() : '');
             
             // Los atributos del input ya están configurados en el HTML
@@ -633,17 +736,26 @@ class GraphVisualization {
             const saveHandler = () => {
                 let newWeight = parseInt(edgeWeightInput.value);
                 
-                // Validar que el peso sea un entero positivo
-                if (isNaN(newWeight) || newWeight < 1) {
-                    this.showNotification('El peso debe ser un número entero positivo', 'error');
+                // Validar que el peso sea un entero (se admiten negativos)
+                if (isNaN(newWeight)) {
+                    this.showNotification('El peso debe ser un número entero', 'error');
                     return;
                 }
                 
                 const newLabel = edgeLabelInput.value.trim() || (this.graph.isWeighted ? newWeight.toString() : '');
+
+                // Capacidad vacía: la arista usa su peso como capacidad
+                const capacityValue = edgeCapacityInput ? edgeCapacityInput.value.trim() : '';
+                const newCapacity = capacityValue === '' ? null : Number(capacityValue);
+                if (newCapacity !== null && !(Number.isFinite(newCapacity) && newCapacity >= 0)) {
+                    this.showNotification('La capacidad debe ser un número no negativo', 'error');
+                    return;
+                }
                 
                 this.graph.updateEdge(edge.id, { 
                     weight: newWeight, 
-                    label: newLabel
+                    label: newLabel,
+                    capacity: newCapacity
                 });
                 
                 this.updateGraph(this.graph);
@@ -722,12 +834,12 @@ class GraphVisualization {
             // Ajustar el tamaño del fondo de la etiqueta
             this.linkElements.select('.edge-label-bg')
                 .attr('width', d => {
-                    const text = this.graph.isWeighted ? (d.label || d.weight || '').toString() : '';
+                    const text = (this.getEdgeLabelText(d) || '').toString();
                     return Math.max(20, text.length * 8 + 8);
                 })
                 .attr('height', 18)
                 .attr('x', d => {
-                    const text = this.graph.isWeighted ? (d.label || d.weight || '').toString() : '';
+                    const text = (this.getEdgeLabelText(d) || '').toString();
                     return -Math.max(10, text.length * 4 + 4);
                 })
                 .attr('y', -9);
@@ -764,14 +876,27 @@ class GraphVisualization {
 
     dragEnded(event, d) {
         if (!event.active) this.simulation.alphaTarget(0);
-        d.fx = null;
-        d.fy = null;
+        if (!this.fixedLayout) {
+            d.fx = null;
+            d.fy = null;
+        }
         
         // Remover clase de arrastre
         d3.select(event.sourceEvent.target.parentNode)
             .classed('dragging', false);
     }
 
+    /**
+     * Copia al grafo las posiciones actuales de la simulación (las que ve el usuario)
+     */
+    syncPositions() {
+        if (!this.graph) return;
+
+        for (const node of this.nodes) {
+            this.graph.updateNodePosition(node.id, node.x, node.y);
+        }
+    }
+
     /**
      * Agrega un nodo en una posición específica
      */
@@ -860,12 +985,54 @@ class GraphVisualization {
     updateNodeStyles() {
         if (this.nodeElements) {
             this.nodeElements.select('circle')
-                .style('fill', d => {
-                    if (this.selectedNodes.has(d.id)) return this.colors.nodeSelected;
-                    if (this.highlightedElements.has(d.id)) return this.colors.nodeHighlighted;
-                    return this.colors.node;
-                });
+                .style('fill', d => this.getNodeFill(d));
+        }
+    }
+
+    /**
+     * Radio de un nodo: el escalado por resultado o el radio base
+     */
+    getNodeRadius(d) {
+        return this.nodeRadii.get(d.id) || this.nodeRadius;
+    }
+
+    /**
+     * Escala el radio de los nodos linealmente según sus puntuaciones (nodeId → valor)
+     */
+    scaleNodeRadii(scores, minRadius = 15, maxRadius = 40) {
+        const values = Object.values(scores);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+
+        this.nodeRadii.clear();
+        for (const [nodeId, score] of Object.entries(scores)) {
+            const ratio = max > min ? (score - min) / (max - min) : 0.5;
+            this.nodeRadii.set(nodeId, minRadius + ratio * (maxRadius - minRadius));
+        }
+
+        this.updateNodeSizes();
+    }
+
+    /**
+     * Aplica los radios actuales a los círculos y a la fuerza de colisión
+     */
+    updateNodeSizes() {
+        if (this.nodeElements) {
+            this.nodeElements.select('circle')
+                .attr('r', d => this.getNodeRadius(d));
         }
+        this.simulation.force('collision')?.radius(d => this.getNodeRadius(d) + 10);
+        this.simulation.alpha(0.3).restart();
+        this.updateNodeBadges();
+    }
+
+    /**
+     * Color de relleno de un nodo: selección > resaltado > color de grupo > color base
+     */
+    getNodeFill(d) {
+        if (this.selectedNodes.has(d.id)) return this.colors.nodeSelected;
+        if (this.highlightedElements.has(d.id)) return this.colors.nodeHighlighted;
+        return this.nodeColors.get(d.id) || this.colors.node;
     }
 
     /**
@@ -874,11 +1041,9 @@ class GraphVisualization {
     updateLinkStyles() {
         if (this.linkElements) {
             this.linkElements.select('line')
-                .style('stroke', d => {
-                    if (this.selectedEdges.has(d.id)) return this.colors.edgeSelected;
-                    if (this.highlightedElements.has(d.id)) return this.colors.edgeHighlighted;
-                    return this.colors.edge;
-                })
+                .style('stroke', d => this.getEdgeStroke(d))
+                .style('stroke-width', d => this.getEdgeWidth(d))
+                .style('stroke-dasharray', d => this.getEdgeDash(d))
                 .style('marker-end', d => {
                     if (!this.graph.isDirected) return 'none';
                     if (this.selectedEdges.has(d.id)) return 'url(#arrowhead-selected)';
@@ -909,6 +1074,233 @@ class GraphVisualization {
         this.updateLinkStyles();
     }
 
+    /**
+     * Color de trazo de una arista: selección > resaltado > color de grupo > color base
+     */
+    getEdgeStroke(d) {
+        if (this.selectedEdges.has(d.id)) return this.colors.edgeSelected;
+        if (this.highlightedElements.has(d.id)) return this.colors.edgeHighlighted;
+        return this.edgeColors.get(d.id) || this.colors.edge;
+    }
+
+    /**
+     * Grosor de una arista: las aristas con color de grupo se dibujan más gruesas
+     */
+    getEdgeWidth(d) {
+        return this.edgeColors.has(d.id) ? 4 : 2;
+    }
+
+    /**
+     * Trazo discontinuo para puentes y aristas de corte
+     */
+    getEdgeDash(d) {
+        return this.dashedEdges.has(d.id) ? '8 4' : null;
+    }
+
+    /**
+     * Color de la paleta para un índice; más allá de la paleta se generan tonos distintos
+     */
+    getPaletteColor(index) {
+        const palette = this.colors.palette;
+        if (index < palette.length) {
+            return palette[index];
+        }
+        // Ángulo áureo: tonos bien separados para cualquier cantidad de grupos
+        return `hsl(${Math.round((index * 137.508) % 360)}, 65%, 45%)`;
+    }
+
+    /**
+     * Colorea cada grupo de nodos con un color de la paleta; devuelve los colores asignados
+     */
+    colorNodeGroups(groups) {
+        const groupColors = groups.map((group, index) => this.getPaletteColor(index));
+
+        this.nodeColors.clear();
+        groups.forEach((group, index) => {
+            group.forEach(nodeId => this.nodeColors.set(nodeId, groupColors[index]));
+        });
+
+        this.updateNodeStyles();
+        return groupColors;
+    }
+
+    /**
+     * Colorea cada grupo de aristas con un color de la paleta; devuelve los colores asignados
+     */
+    colorEdgeGroups(groups) {
+        const groupColors = groups.map((group, index) => this.getPaletteColor(index));
+
+        this.edgeColors.clear();
+        groups.forEach((group, index) => {
+            group.forEach(edgeId => this.edgeColors.set(edgeId, groupColors[index]));
+        });
+
+        this.updateLinkStyles();
+        return groupColors;
+    }
+
+    /**
+     * Activa (o quita, con null) una fuerza que atrae cada nodo hacia el centroide de su comunidad
+     */
+    setCommunityForce(membership, strength = 0.1) {
+        if (!membership) {
+            if (this.simulation.force('community')) {
+                this.simulation.force('community', null);
+                this.simulation.alpha(0.3).restart();
+            }
+            return;
+        }
+
+        let forceNodes = [];
+        const force = alpha => {
+            const centroids = new Map();
+            for (const node of forceNodes) {
+                const community = membership[node.id];
+                if (community === undefined) continue;
+                const centroid = centroids.get(community) || { x: 0, y: 0, count: 0 };
+                centroid.x += node.x;
+                centroid.y += node.y;
+                centroid.count++;
+                centroids.set(community, centroid);
+            }
+
+            for (const node of forceNodes) {
+                const centroid = centroids.get(membership[node.id]);
+                if (!centroid) continue;
+                node.vx += (centroid.x / centroid.count - node.x) * strength * alpha;
+                node.vy += (centroid.y / centroid.count - node.y) * strength * alpha;
+            }
+        };
+        force.initialize = nodes => { forceNodes = nodes; };
+
+        this.simulation.force('community', force);
+        this.simulation.alpha(0.5).restart();
+    }
+
+    /**
+     * Coloca y fija los nodos en posiciones normalizadas a [0, 1] (escaladas al lienzo con un margen)
+     * y las copia al grafo; la simulación no los mueve hasta releaseFixedLayout()
+     */
+    applyFixedLayout(positions, margin = 60) {
+        const width = Math.max(this.width - 2 * margin, 1);
+        const height = Math.max(this.height - 2 * margin, 1);
+
+        for (const node of this.nodes) {
+            const position = positions[node.id];
+            if (!position) continue;
+
+            node.x = node.fx = margin + position.x * width;
+            node.y = node.fy = margin + position.y * height;
+            this.graph?.updateNodePosition(node.id, node.x, node.y);
+        }
+
+        this.fixedLayout = true;
+        this.simulation.alpha(0.3).restart();
+    }
+
+    /**
+     * Dibujo por niveles: cada capa (lista de nodeIds) en una fila, de arriba abajo y en el orden dado
+     */
+    applyLayeredLayout(layers) {
+        const positions = {};
+
+        layers.forEach((layer, depth) => {
+            layer.forEach((nodeId, index) => {
+                positions[nodeId] = {
+                    x: (index + 1) / (layer.length + 1),
+                    y: layers.length > 1 ? depth / (layers.length - 1) : 0.5
+                };
+            });
+        });
+
+        this.applyFixedLayout(positions);
+    }
+
+    /**
+     * Libera los nodos fijados por applyFixedLayout() y deja actuar de nuevo a las fuerzas
+     */
+    releaseFixedLayout() {
+        if (!this.fixedLayout) return;
+
+        this.fixedLayout = false;
+        for (const node of this.nodes) {
+            node.fx = null;
+            node.fy = null;
+        }
+        this.simulation.alpha(0.3).restart();
+    }
+
+    /**
+     * Marca los puntos de articulación y los puentes con su estilo propio
+     */
+    showCriticalElements(articulationPoints = [], bridges = []) {
+        this.markNodes(articulationPoints, this.colors.nodeArticulation);
+        this.markEdges(bridges, this.colors.edgeBridge, true);
+    }
+
+    /**
+     * Estiliza las aristas por su clase DFS (árbol continuas; retroceso, avance y cruce discontinuas)
+     * y devuelve el color de cada clase
+     */
+    showEdgeClasses(edgeTypes) {
+        const classColors = {
+            tree: this.colors.edgeTree,
+            back: this.colors.edgeBack,
+            forward: this.colors.edgeForward,
+            cross: this.colors.edgeCross
+        };
+
+        for (const [type, color] of Object.entries(classColors)) {
+            const edgeIds = Object.keys(edgeTypes).filter(edgeId => edgeTypes[edgeId] === type);
+            this.markEdges(edgeIds, color, type !== 'tree');
+        }
+
+        return classColors;
+    }
+
+    /**
+     * Pinta un conjunto de nodos con un color fijo sobre la capa de grupos
+     */
+    markNodes(nodeIds, color) {
+        nodeIds.forEach(nodeId => this.nodeColors.set(nodeId, color));
+        this.updateNodeStyles();
+    }
+
+    /**
+     * Pinta un conjunto de aristas con un color fijo, opcionalmente con trazo discontinuo
+     */
+    markEdges(edgeIds, color, dashed = false) {
+        edgeIds.forEach(edgeId => {
+            this.edgeColors.set(edgeId, color);
+            if (dashed) {
+                this.dashedEdges.add(edgeId);
+            }
+        });
+        this.updateLinkStyles();
+    }
+
+    /**
+     * Elimina las capas de los resultados (colores, etiquetas, insignias, radios, fuerza de comunidades y nodos fijados)
+     */
+    clearOverlays() {
+        const hadRadii = this.nodeRadii.size > 0;
+        this.nodeColors.clear();
+        this.nodeRadii.clear();
+        this.edgeColors.clear();
+        this.dashedEdges.clear();
+        this.edgeLabels.clear();
+        this.nodeBadges.clear();
+        this.updateNodeStyles();
+        this.updateLinkStyles();
+        this.updateEdgeLabels();
+        this.updateNodeBadges();
+        if (hadRadii) {
+            this.updateNodeSizes();
+        }
+        this.setCommunityForce(null);
+        this.releaseFixedLayout();
+    }
+
     /**
      * Anima un algoritmo paso a paso
      */
@@ -0,0 +1,46 @@
+/**
+ * Pruebas de Graph (ejecutar con `npm test`). graph.js se carga como script global, igual que en index.html
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'graph.js'), 'utf8'), context);
+const Graph = vm.runInContext('Graph', context);
+
+const dagFile = (edges) => ({
+    isDirected: true,
+    isWeighted: false,
+    isAcyclic: true,
+    nodes: ['A', 'B', 'C'].map(id => ({ id, label: id, x: 0, y: 0, data: {} })),
+    edges: edges.map(([source, target], index) => ({
+        id: `edge_${index + 1}`,
+        source,
+        target,
+        weight: 1,
+        label: '',
+        directed: true
+    }))
+});
+
+test('fromJSON carga con el modo DAG desactivado un archivo acíclico que contiene un ciclo', () => {
+    const graph = new Graph();
+    const cycle = graph.fromJSON(dagFile([['A', 'B'], ['B', 'C'], ['C', 'A']]));
+
+    assert.strictEqual(graph.isAcyclic, false);
+    assert.strictEqual(graph.edges.size, 3);
+    assert.strictEqual(cycle[0], cycle[cycle.length - 1]);
+    assert.deepStrictEqual(new Set(cycle), new Set(['A', 'B', 'C']));
+});
+
+test('fromJSON mantiene el modo DAG cuando las aristas no forman ciclos', () => {
+    const graph = new Graph();
+    const cycle = graph.fromJSON(JSON.stringify(dagFile([['A', 'B'], ['B', 'C'], ['A', 'C']])));
+
+    assert.strictEqual(cycle, null);
+    assert.strictEqual(graph.isAcyclic, true);
+    assert.throws(() => graph.addEdge('C', 'A'), { name: 'GraphCycleError' });
+});